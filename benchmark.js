@@ -0,0 +1,145 @@
+// benchmark.js
+// Compares the bitmask solver in engine.js with the original scan-based
+// backtracker it replaced. Run with: node benchmark.js [puzzles]
+
+const engine = require("./engine.js");
+const {
+  cloneBoard,
+  countSolutions,
+  generateFullSolution,
+  isSafe,
+  removeCellsWithUniqueness,
+  shuffleArray
+} = engine;
+
+/* =========================
+   Original implementation
+   ========================= */
+
+function legacySolveBoard(board) {
+  for (let row = 0; row < 9; row++) {
+    for (let col = 0; col < 9; col++) {
+      if (board[row][col] === 0) {
+        const nums = shuffleArray([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        for (let i = 0; i < nums.length; i++) {
+          const num = nums[i];
+          if (isSafe(board, row, col, num)) {
+            board[row][col] = num;
+            if (legacySolveBoard(board)) {
+              return true;
+            }
+            board[row][col] = 0;
+          }
+        }
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function legacyCountSolutions(board, limit) {
+  let solutions = 0;
+
+  function backtrack() {
+    if (solutions >= limit) return;
+
+    for (let row = 0; row < 9; row++) {
+      for (let col = 0; col < 9; col++) {
+        if (board[row][col] === 0) {
+          for (let num = 1; num <= 9; num++) {
+            if (isSafe(board, row, col, num)) {
+              board[row][col] = num;
+              backtrack();
+              board[row][col] = 0;
+
+              if (solutions >= limit) return;
+            }
+          }
+          return;
+        }
+      }
+    }
+    solutions += 1;
+  }
+
+  backtrack();
+  return solutions;
+}
+
+function legacyRemoveCells(puzzle, blanksTarget) {
+  const coords = [];
+  for (let r = 0; r < 9; r++) {
+    for (let c = 0; c < 9; c++) {
+      coords.push({ r, c });
+    }
+  }
+
+  const shuffled = shuffleArray(coords);
+  let blanks = 0;
+
+  for (let i = 0; i < shuffled.length && blanks < blanksTarget; i++) {
+    const { r, c } = shuffled[i];
+    if (puzzle[r][c] === 0) continue;
+
+    const backup = puzzle[r][c];
+    puzzle[r][c] = 0;
+
+    if (legacyCountSolutions(cloneBoard(puzzle), 2) !== 1) {
+      puzzle[r][c] = backup;
+    } else {
+      blanks += 1;
+    }
+  }
+}
+
+/* =========================
+   Timing
+   ========================= */
+
+function time(label, runs, fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < runs; i++) fn(i);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(40)} ${(ms / runs).toFixed(3).padStart(10)} ms/run  (${runs} runs)`);
+  return ms / runs;
+}
+
+const count = Number(process.argv[2]) || 20;
+
+// Same minimal puzzles (no clue can be removed) for both solvers
+const puzzles = [];
+for (let i = 0; i < count; i++) {
+  const puzzle = generateFullSolution();
+  removeCellsWithUniqueness(puzzle, 81);
+  puzzles.push(puzzle);
+}
+const clues = puzzles.map((p) => p.flat().filter((v) => v !== 0).length);
+console.log(`${count} minimal puzzles, ${Math.min(...clues)}-${Math.max(...clues)} clues\n`);
+
+// Both solvers must agree before their speed means anything
+puzzles.forEach((puzzle, i) => {
+  const a = countSolutions(cloneBoard(puzzle), 2);
+  const b = legacyCountSolutions(cloneBoard(puzzle), 2);
+  if (a !== b) throw new Error(`Puzzle ${i}: new solver found ${a} solutions, old one ${b}`);
+});
+
+const oldCount = time("countSolutions (old)", count, (i) => legacyCountSolutions(cloneBoard(puzzles[i]), 2));
+const newCount = time("countSolutions (new)", count, (i) => countSolutions(cloneBoard(puzzles[i]), 2));
+
+const empty = () => puzzles[0].map((row) => row.map(() => 0));
+const oldFull = time("solveBoard on an empty grid (old)", count, () => legacySolveBoard(empty()));
+const newFull = time("solveBoard on an empty grid (new)", count, () => engine.solveBoard(empty()));
+
+const legacyRuns = Math.max(1, Math.floor(count / 10));
+const oldMinimal = time("minimal puzzle generation (old)", legacyRuns, () => {
+  legacyRemoveCells(generateFullSolution(), 81);
+});
+const newMinimal = time("minimal puzzle generation (new)", count, () => {
+  removeCellsWithUniqueness(generateFullSolution(), 81);
+});
+
+console.log("");
+console.log(`countSolutions speed-up:     ${(oldCount / newCount).toFixed(1)}x`);
+console.log(`solveBoard speed-up:         ${(oldFull / newFull).toFixed(1)}x`);
+console.log(`minimal generation speed-up: ${(oldMinimal / newMinimal).toFixed(1)}x`);
@@ -0,0 +1,232 @@
+// cli.js
+// Command-line front end to engine.js: bulk-generate puzzles or solve
+// the ones piped in. Run "node cli.js help" for the options.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const engine = require("./engine.js");
+
+// formats.js is a browser script that leans on engine.js globals, so
+// load it into a context that has them
+const formats = vm.createContext({ ...engine });
+vm.runInContext(fs.readFileSync(path.join(__dirname, "formats.js"), "utf8"), formats);
+const { parsePuzzles, formatPuzzle } = formats;
+
+const USAGE = `Usage:
+  node cli.js generate [count] [options]  count puzzles (default 1) per difficulty
+  node cli.js solve [options] < puzzles   solve every puzzle read from stdin
+
+Options:
+  -d, --difficulty e,m,h,x,d  difficulties to generate (default all five)
+  -s, --size n                board size: 4, 6, 9, 12 or 16 (default 9)
+  -r, --rules a,b             variant rules: ${engine.VARIANT_KEYS.join(", ")}
+  -p, --pattern name          layout of the givens: ${engine.PATTERN_KEYS.join(", ")}
+      --minimal               only puzzles with no given to spare
+      --seed text             reproducible run; puzzle i of difficulty d gets seed "text-d-i"
+  -f, --format name           line, sdk, grid or json (default line)
+  -o, --out file              write to a file instead of stdout
+      --steps                 with solve, list the logical steps as # comments
+
+Puzzles are read in any format the Import box takes. With the line
+format each result is followed by its difficulty (and seed); json gives
+one object per line with everything the engine returned.`;
+
+// Short flags and which long options take a value
+const SHORT_FLAGS = { d: "difficulty", s: "size", r: "rules", p: "pattern", f: "format", o: "out" };
+const VALUE_OPTIONS = ["difficulty", "size", "rules", "pattern", "seed", "format", "out"];
+const OUTPUT_FORMATS = ["line", "sdk", "grid", "json"];
+
+// Digits the solver may place on one puzzle before it gives up
+const SOLVE_NODES = 5000000;
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(2);
+}
+
+// Output piped into something that stops reading early (e.g. head)
+// ends the run quietly
+function stopOnClosedPipe(err) {
+  if (err.code === "EPIPE") process.exit(0);
+  throw err;
+}
+
+function parseArgs(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-")) {
+      options.positional.push(arg);
+      continue;
+    }
+    const name = arg.startsWith("--") ? arg.slice(2) : SHORT_FLAGS[arg.slice(1)];
+    if (!name) fail(`Unknown option ${arg}\n\n${USAGE}`);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      options[name] = argv[++i];
+    } else if (name === "minimal" || name === "steps" || name === "help") {
+      options[name] = true;
+    } else {
+      fail(`Unknown option ${arg}\n\n${USAGE}`);
+    }
+  }
+  return options;
+}
+
+function splitList(text) {
+  return text ? text.split(",").map((item) => item.trim()).filter(Boolean) : [];
+}
+
+// The variant rules named with -r; a misspelt one stops the run rather
+// than being left out
+function parseRules(text) {
+  const rules = splitList(text);
+  const unknown = rules.find((key) => !engine.VARIANT_KEYS.includes(key));
+  if (unknown) fail(`Unknown rule "${unknown}"; use ${engine.VARIANT_KEYS.join(", ")}.`);
+  return rules;
+}
+
+// A board in one of the output formats, with a note after it (as text
+// the import readers skip)
+function formatResult(board, format, note) {
+  if (format === "line") {
+    const line = formatPuzzle(board, "line").trim();
+    return note ? `${line} ${note}\n` : `${line}\n`;
+  }
+  return (note ? `# ${note}\n` : "") + formatPuzzle(board, format);
+}
+
+function generate(options, write) {
+  const count = options.positional.length > 0 ? Number(options.positional[0]) : 1;
+  if (!Number.isInteger(count) || count < 1) fail("The count must be a whole number of at least 1.");
+
+  const difficulties = options.difficulty ? splitList(options.difficulty) : engine.DIFFICULTIES;
+  const unknown = difficulties.find((d) => !engine.DIFFICULTIES.includes(d));
+  if (unknown) fail(`Unknown difficulty "${unknown}"; use ${engine.DIFFICULTIES.join(", ")}.`);
+
+  const size = options.size ? Number(options.size) : 9;
+  if (!engine.BOARD_SIZES.includes(size)) {
+    fail(`Unknown board size "${options.size}"; use ${engine.BOARD_SIZES.join(", ")}.`);
+  }
+
+  // Regions and cages only survive in json
+  const rules = parseRules(options.rules);
+  const shaped = rules.find((key) => engine.VARIANT_RULES[key] && engine.VARIANT_RULES[key].data);
+  if (shaped && options.format !== "json") {
+    fail(`${engine.VARIANT_RULES[shaped].name} puzzles need --format json to keep their shapes.`);
+  }
+
+  const generateOptions = {
+    size,
+    rules,
+    pattern: options.pattern || "none",
+    minimal: Boolean(options.minimal)
+  };
+
+  difficulties.forEach((difficulty) => {
+    for (let i = 0; i < count; i++) {
+      const seed = options.seed ? `${options.seed}-${difficulty}-${i + 1}` : null;
+      let result;
+      try {
+        result = engine.generatePuzzle(difficulty, seed, null, generateOptions);
+      } catch (err) {
+        fail(err.message);
+      }
+      if (options.format === "json") {
+        write(`${JSON.stringify(result)}\n`);
+      } else {
+        write(formatResult(result.puzzle, options.format, `${result.grade.difficulty} ${result.seed}`));
+      }
+      process.stderr.write(`\r${difficulty}: ${i + 1}/${count}`);
+    }
+    process.stderr.write("\n");
+  });
+}
+
+// Solve one puzzle; returns what to write and an error message, if any
+function solveOne(board, rules) {
+  const problem = engine.rulesProblem(board.length, rules);
+  if (problem) return { error: problem };
+  // A rule named on the command line has no regions or cages to go with it
+  const shaped = rules.find((key) => engine.VARIANT_RULES[key] && engine.VARIANT_RULES[key].data);
+  if (shaped) return { error: `${engine.VARIANT_RULES[shaped].name} puzzles can't be set up from a plain grid.` };
+  const clashes = engine.findClashes(board, rules);
+  if (clashes.length > 0) {
+    const cells = clashes.map(([row, col]) => `R${row + 1}C${col + 1}`).join(", ");
+    return { error: `the givens in ${cells} clash` };
+  }
+
+  const solutions = engine.findSolutions(board, 2, rules, SOLVE_NODES);
+  if (!solutions) return { error: "gave up before finding an answer" };
+  if (solutions.length === 0) return { error: "no solution" };
+  if (solutions.length > 1) return { error: "more than one solution", solutions };
+
+  const trace = engine.solveLogically(board, undefined, rules);
+  return { solution: solutions[0], grade: engine.gradeTrace(trace), steps: trace.steps };
+}
+
+function solve(options, write) {
+  let boards;
+  try {
+    boards = parsePuzzles(fs.readFileSync(0, "utf8"));
+  } catch (err) {
+    fail(err.message);
+  }
+  const rules = parseRules(options.rules);
+  let failures = 0;
+
+  boards.forEach((board, i) => {
+    const { solution, grade, steps, error, solutions } = solveOne(board, rules);
+    if (error) {
+      failures += 1;
+      process.stderr.write(`Puzzle ${i + 1}: ${error}\n`);
+    }
+
+    if (options.format === "json") {
+      write(`${JSON.stringify({ puzzle: board, solution, grade, steps: options.steps ? steps : undefined, error, solutions })}\n`);
+      return;
+    }
+    if (error) return;
+    if (options.steps) {
+      steps.forEach((step) => write(`# ${step.description}\n`));
+    }
+    write(formatResult(solution, options.format, grade.difficulty));
+  });
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const command = options.positional.shift();
+  if (!command || command === "help" || options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  options.format = options.format || "line";
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    fail(`Unknown format "${options.format}"; use ${OUTPUT_FORMATS.join(", ")}.`);
+  }
+  const out = options.out ? fs.openSync(options.out, "w") : 1;
+  const write = (text) => {
+    try {
+      fs.writeSync(out, text);
+    } catch (err) {
+      stopOnClosedPipe(err);
+    }
+  };
+
+  if (command === "generate") {
+    generate(options, write);
+  } else if (command === "solve") {
+    solve(options, write);
+  } else {
+    fail(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+  if (options.out) fs.closeSync(out);
+}
+
+process.stdout.on("error", stopOnClosedPipe);
+main();
@@ -1,27 +1,368 @@
 // engine.js
 // Sudoku generator + solver with UNIQUE-solution puzzles.
+//
+// In the page and in worker.js this is a plain script whose functions
+// are globals. Under Node it is also a CommonJS module, and engine.mjs
+// re-exports it as an ES module; see "Module exports" at the bottom for
+// the API and README.md for how to use it.
 
 /* =========================
-   Basic helpers
+   Board sizes
    ========================= */
 
-const ROWS = 9;
-const COLS = 9;
+// Box shape [rows, columns] for every supported board size. A board is
+// size x size cells, with size boxes and the digits 1..size.
+const BOX_SHAPES = {
+  4: [2, 2],
+  6: [2, 3],
+  9: [3, 3],
+  12: [3, 4],
+  16: [4, 4]
+};
+const BOARD_SIZES = [4, 6, 9, 12, 16];
 
-// Deep copy a 9x9 board
-function cloneBoard(board) {
-  const copy = [];
-  for (let r = 0; r < ROWS; r++) {
-    copy[r] = board[r].slice();
+// How digits are written: 1-9, then letters, so 16x16 runs 1-9 and A-G
+const DIGIT_SYMBOLS = "123456789ABCDEFG";
+
+function digitSymbol(digit) {
+  return DIGIT_SYMBOLS[digit - 1];
+}
+
+// The digit a symbol stands for, or 0 for anything else
+function symbolDigit(symbol) {
+  const text = String(symbol).toUpperCase();
+  return text.length === 1 ? DIGIT_SYMBOLS.indexOf(text) + 1 : 0;
+}
+
+/* =========================
+   Variant rules
+   ========================= */
+
+// Rules a puzzle can add on top of the classic row / column / box ones.
+// A puzzle lists the ones it uses, e.g. ["diagonal", "antiKnight"], and
+// every part of the engine takes that list. Rules that need data of
+// their own (a jigsaw's regions, a killer's cages) are listed as an
+// object { type: key, ...data } instead; given just the key, the
+// generator makes the data up. A rule can add any of:
+//   units(grid)                more groups that hold each digit at most once
+//   peers(grid, cell, rule)    cells that may not repeat the cell's digit
+//   neighbours(grid, cell)     cells whose digit must stay out of
+//   excludes(grid, digit)      this mask of digits
+//   boxes(grid, rule)          each cell's box, replacing the regular boxes
+//   cages(grid, rule)          [{ cells, sum }]: cells whose digits add up to sum
+// `data` names the field a rule needs before it can be used, and
+// `sizes` lists the board sizes the rule makes sense on.
+const VARIANT_RULES = {
+  diagonal: {
+    name: "Diagonal",
+    description: "Both long diagonals hold every digit once.",
+    sizes: [4, 6, 9],
+    units(grid) {
+      const down = [];
+      const up = [];
+      for (let i = 0; i < grid.size; i++) {
+        down.push(i * grid.size + i);
+        up.push((grid.size - 1 - i) * grid.size + i);
+      }
+      return [
+        { type: "diagonal", index: 0, cells: down },
+        { type: "diagonal", index: 1, cells: up }
+      ];
+    }
+  },
+  antiKnight: {
+    name: "Anti-knight",
+    description: "Cells a chess knight's move apart can't hold the same digit.",
+    sizes: [9],
+    peers(grid, cell) {
+      return offsetCells(grid, cell, [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]);
+    }
+  },
+  antiKing: {
+    name: "Anti-king",
+    description: "Cells that touch diagonally can't hold the same digit.",
+    sizes: [9],
+    peers(grid, cell) {
+      return offsetCells(grid, cell, [[-1, -1], [-1, 1], [1, -1], [1, 1]]);
+    }
+  },
+  nonConsecutive: {
+    name: "Non-consecutive",
+    description: "Cells side by side can't hold consecutive digits.",
+    sizes: [9],
+    neighbours(grid, cell) {
+      return offsetCells(grid, cell, [[-1, 0], [1, 0], [0, -1], [0, 1]]);
+    },
+    excludes(grid, digit) {
+      return (digitBit(digit) << 1 | digitBit(digit) >> 1) & grid.allCandidates;
+    }
+  },
+  windoku: {
+    name: "Windoku",
+    description: "The shaded windows hold every digit once, like the boxes.",
+    sizes: [9],
+    // Box-sized windows one cell in from the edge, with a line of cells
+    // between them (four on 9x9)
+    units(grid) {
+      const starts = [];
+      for (let start = 1; start + grid.boxRows <= grid.size; start += grid.boxRows + 1) {
+        starts.push(start);
+      }
+      const units = [];
+      starts.forEach((rowStart) => {
+        starts.forEach((colStart) => {
+          const cells = [];
+          for (let r = 0; r < grid.boxRows; r++) {
+            for (let c = 0; c < grid.boxCols; c++) {
+              cells.push((rowStart + r) * grid.size + colStart + c);
+            }
+          }
+          units.push({ type: "window", index: units.length, cells });
+        });
+      });
+      return units;
+    }
+  },
+  jigsaw: {
+    name: "Jigsaw",
+    description: "The boxes are irregular shapes; each still holds every digit once.",
+    sizes: [6, 9],
+    // regions[cell] is the box of each cell, cells numbered row by row
+    data: "regions",
+    boxes: (grid, rule) => rule.regions
+  },
+  killer: {
+    name: "Killer",
+    description: "The digits in each dashed cage add up to its sum and don't repeat.",
+    sizes: [4, 6, 9],
+    // cages: [{ cells, sum }], covering the board
+    data: "cages",
+    cages: (grid, rule) => rule.cages,
+    peers(grid, cell, rule) {
+      const cage = rule.cages.find((c) => c.cells.includes(cell));
+      return cage ? cage.cells.filter((other) => other !== cell) : [];
+    }
   }
-  return copy;
+};
+const VARIANT_KEYS = Object.keys(VARIANT_RULES);
+
+// The cells at the given [row, column] offsets from `cell` that are on the board
+function offsetCells(grid, cell, offsets) {
+  const cells = [];
+  offsets.forEach(([dRow, dCol]) => {
+    const row = grid.cellRow[cell] + dRow;
+    const col = grid.cellCol[cell] + dCol;
+    if (row >= 0 && row < grid.size && col >= 0 && col < grid.size) {
+      cells.push(row * grid.size + col);
+    }
+  });
+  return cells;
+}
+
+// The key of a rule listed either way, "killer" or { type: "killer", ... }
+function ruleKey(rule) {
+  return typeof rule === "string" ? rule : rule && rule.type;
 }
 
-// Create a blank 9x9 puzzle filled with 0s
-function createBlankBoard() {
+// Known rules only, each once, in VARIANT_RULES order, so one rule set
+// always looks the same (for seeds, links and the grid cache)
+function normalizeRules(rules) {
+  const list = Array.isArray(rules) ? rules : [];
+  const result = [];
+  VARIANT_KEYS.forEach((key) => {
+    const rule = list.find((r) => ruleKey(r) === key);
+    if (rule) result.push(rule);
+  });
+  return result;
+}
+
+// Whether a rule has what it needs to be played (see `data`)
+function ruleReady(rule) {
+  const field = VARIANT_RULES[ruleKey(rule)].data;
+  return !field || (typeof rule === "object" && Array.isArray(rule[field]));
+}
+
+// An error message if a rule doesn't fit the board size, otherwise null
+function rulesProblem(size, rules) {
+  const misfit = normalizeRules(rules).find((rule) => !VARIANT_RULES[ruleKey(rule)].sizes.includes(size));
+  if (!misfit) return null;
+  return `${VARIANT_RULES[ruleKey(misfit)].name} isn't available on ${size}x${size} boards.`;
+}
+
+// Everything about the layout of one board size and rule set, worked
+// out once: the row, column and box of each cell (cells are numbered row
+// by row), every box, row and column as a unit plus the units the rules
+// add, and the peers of each cell. What the rules add is also kept apart
+// for the backtracking solver: `variantUnitsOf`, `extraPeers`,
+// `relations` ({ cell, excludes } with excludes[digit] a mask), and
+// `cages` with `cageOf` giving each cell's cage (or -1). Rules that are
+// not ready (see ruleReady) are left out.
+function createGrid(size, rules = []) {
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  const boxesPerBand = size / boxCols;
+  const grid = {
+    size,
+    boxRows,
+    boxCols,
+    cellCount: size * size,
+    allCandidates: (1 << size) - 1,
+    cellRow: [],
+    cellCol: [],
+    cellBox: [],
+    rules,
+    units: [],
+    peers: [],
+    peerSets: [],
+    variantUnitsOf: [],
+    extraPeers: [],
+    relations: [],
+    cages: [],
+    cageOf: []
+  };
+
+  const ready = rules.filter(ruleReady);
+  const ruleDefs = ready.map((rule) => VARIANT_RULES[ruleKey(rule)]);
+  const boxRule = ready.find((rule) => VARIANT_RULES[ruleKey(rule)].boxes);
+  const regions = boxRule ? VARIANT_RULES[ruleKey(boxRule)].boxes(grid, boxRule) : null;
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      grid.cellRow.push(r);
+      grid.cellCol.push(c);
+      grid.cellBox.push(regions
+        ? regions[r * size + c]
+        : Math.floor(r / boxRows) * boxesPerBand + Math.floor(c / boxCols));
+    }
+  }
+
+  // Boxes first, because that is where people look for singles first
+  for (let b = 0; b < size; b++) {
+    const cells = [];
+    for (let cell = 0; cell < grid.cellCount; cell++) {
+      if (grid.cellBox[cell] === b) cells.push(cell);
+    }
+    grid.units.push({ type: "box", index: b, cells });
+  }
+  for (let r = 0; r < size; r++) {
+    const cells = [];
+    for (let c = 0; c < size; c++) cells.push(r * size + c);
+    grid.units.push({ type: "row", index: r, cells });
+  }
+  for (let c = 0; c < size; c++) {
+    const cells = [];
+    for (let r = 0; r < size; r++) cells.push(r * size + c);
+    grid.units.push({ type: "column", index: c, cells });
+  }
+  grid.boxUnits = grid.units.filter((unit) => unit.type === "box");
+  grid.rowUnits = grid.units.filter((unit) => unit.type === "row");
+  grid.colUnits = grid.units.filter((unit) => unit.type === "column");
+
+  ruleDefs.forEach((rule, i) => {
+    if (rule.units) grid.units.push(...rule.units(grid));
+    if (rule.cages) grid.cages.push(...rule.cages(grid, ready[i]));
+  });
+  grid.variantUnits = grid.units.slice(3 * size);
+
+  // The cells that share a unit with each cell (20 on a classic 9x9),
+  // plus any the rules add
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    const peers = new Set();
+    grid.units.forEach((unit) => {
+      if (unit.cells.includes(cell)) {
+        unit.cells.forEach((other) => {
+          if (other !== cell) peers.add(other);
+        });
+      }
+    });
+
+    const extraPeers = [];
+    const relations = [];
+    ruleDefs.forEach((rule, i) => {
+      if (rule.peers) {
+        rule.peers(grid, cell, ready[i]).forEach((other) => {
+          extraPeers.push(other);
+          peers.add(other);
+        });
+      }
+      if (rule.neighbours) {
+        const excludes = [0];
+        for (let d = 1; d <= size; d++) excludes.push(rule.excludes(grid, d));
+        rule.neighbours(grid, cell).forEach((other) => relations.push({ cell: other, excludes }));
+      }
+    });
+
+    grid.peers.push(Array.from(peers));
+    grid.peerSets.push(peers);
+    grid.extraPeers.push(extraPeers);
+    grid.relations.push(relations);
+    grid.variantUnitsOf.push(
+      grid.variantUnits.map((unit, i) => (unit.cells.includes(cell) ? i : -1)).filter((i) => i >= 0)
+    );
+    grid.cageOf.push(grid.cages.findIndex((cage) => cage.cells.includes(cell)));
+  }
+
+  return grid;
+}
+
+// Grids by size and rule set. Jigsaw and killer puzzles each bring their
+// own layout, so the cache is emptied once it gets long.
+const GRIDS = new Map();
+const GRID_CACHE_LIMIT = 64;
+
+// The grid for a board size (9 by default) and rule set
+function gridFor(size = 9, rules = []) {
+  if (!BOX_SHAPES[size]) {
+    throw new Error(`Unsupported board size: ${size}`);
+  }
+  const ruleList = normalizeRules(rules);
+  const key = [size].concat(ruleList.map((rule) => JSON.stringify(rule))).join(":");
+  if (!GRIDS.has(key)) {
+    if (GRIDS.size >= GRID_CACHE_LIMIT) GRIDS.clear();
+    GRIDS.set(key, createGrid(size, ruleList));
+  }
+  return GRIDS.get(key);
+}
+
+// Digits that can still go in a cage cell: those in some set of `empty`
+// different digits, none of them in `usedMask`, adding up to `sumLeft`.
+// Kept per question, since the solver asks the same ones over and over.
+const CAGE_MASKS = new Map();
+
+function cageCandidates(size, empty, sumLeft, usedMask) {
+  if (empty <= 0 || sumLeft <= 0) return 0;
+  const key = ((usedMask * 256 + sumLeft) * 32 + empty) * 32 + size;
+  let mask = CAGE_MASKS.get(key);
+  if (mask !== undefined) return mask;
+
+  mask = 0;
+  function pick(from, left, sum, chosen) {
+    if (left === 0) {
+      if (sum === 0) mask |= chosen;
+      return;
+    }
+    for (let d = from; d <= size && d <= sum; d++) {
+      if (!(usedMask & digitBit(d))) pick(d + 1, left - 1, sum - d, chosen | digitBit(d));
+    }
+  }
+  pick(1, empty, sumLeft, 0);
+  CAGE_MASKS.set(key, mask);
+  return mask;
+}
+
+/* =========================
+   Basic helpers
+   ========================= */
+
+// Deep copy a board
+function cloneBoard(board) {
+  return board.map((row) => row.slice());
+}
+
+// Create a blank size x size puzzle filled with 0s
+function createBlankBoard(size = 9) {
   const board = [];
-  for (let r = 0; r < ROWS; r++) {
-    const row = new Array(COLS).fill(0);
+  for (let r = 0; r < size; r++) {
+    const row = new Array(size).fill(0);
     board.push(row);
   }
   return board;
@@ -31,23 +372,30 @@ function createBlankBoard() {
    Validity checks
    ========================= */
 
-// Check if placing num at (row, col) is valid
-function isSafe(board, row, col, num) {
+// Check if placing num at (row, col) is valid, under the classic rules
+// plus any variant `rules`
+function isSafe(board, row, col, num, rules = []) {
+  const size = board.length;
+  if (rules.length > 0) {
+    return fitsGrid(board, row * size + col, num, gridFor(size, rules));
+  }
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+
   // Row
-  for (let c = 0; c < COLS; c++) {
+  for (let c = 0; c < size; c++) {
     if (board[row][c] === num) return false;
   }
 
   // Column
-  for (let r = 0; r < ROWS; r++) {
+  for (let r = 0; r < size; r++) {
     if (board[r][col] === num) return false;
   }
 
-  // 3x3 box
-  const boxRowStart = Math.floor(row / 3) * 3;
-  const boxColStart = Math.floor(col / 3) * 3;
-  for (let r = 0; r < 3; r++) {
-    for (let c = 0; c < 3; c++) {
+  // Box
+  const boxRowStart = Math.floor(row / boxRows) * boxRows;
+  const boxColStart = Math.floor(col / boxCols) * boxCols;
+  for (let r = 0; r < boxRows; r++) {
+    for (let c = 0; c < boxCols; c++) {
       if (board[boxRowStart + r][boxColStart + c] === num) return false;
     }
   }
@@ -55,76 +403,925 @@ function isSafe(board, row, col, num) {
   return true;
 }
 
+// The filled cells whose digit breaks a rule against another filled cell,
+// as [row, col] pairs; empty for a grid that is fine so far
+function findClashes(board, rules = []) {
+  const clashes = [];
+  const copy = cloneBoard(board);
+  board.forEach((row, r) => {
+    row.forEach((value, c) => {
+      if (value === 0) return;
+      copy[r][c] = 0;
+      if (!isSafe(copy, r, c, value, rules)) clashes.push([r, c]);
+      copy[r][c] = value;
+    });
+  });
+  return clashes;
+}
+
+// isSafe for a grid with variant rules: no peer holds num, no neighbour
+// rules it out, and the cell's cage can still reach its sum
+function fitsGrid(board, cell, num, grid) {
+  const valueAt = (other) => board[grid.cellRow[other]][grid.cellCol[other]];
+
+  for (const peer of grid.peers[cell]) {
+    if (valueAt(peer) === num) return false;
+  }
+  for (const relation of grid.relations[cell]) {
+    const value = valueAt(relation.cell);
+    if (value !== 0 && relation.excludes[value] & digitBit(num)) return false;
+  }
+
+  if (grid.cageOf[cell] >= 0) {
+    const cage = grid.cages[grid.cageOf[cell]];
+    let sum = 0;
+    let used = 0;
+    let empty = 1; // the cell itself
+    cage.cells.forEach((other) => {
+      if (other === cell) return;
+      const value = valueAt(other);
+      if (value === 0) {
+        empty += 1;
+      } else {
+        sum += value;
+        used |= digitBit(value);
+      }
+    });
+    if (!(cageCandidates(grid.size, empty, cage.sum - sum, used) & digitBit(num))) return false;
+  }
+
+  return true;
+}
+
 /* =========================
    Backtracking solver
    ========================= */
 
-// Solve a board in place, stop at the first solution
-function solveBoard(board) {
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      if (board[row][col] === 0) {
-        // Try digits 1-9
-        const nums = shuffleArray([1,2,3,4,5,6,7,8,9]);
-        for (let i = 0; i < nums.length; i++) {
-          const num = nums[i];
-          if (isSafe(board, row, col, num)) {
-            board[row][col] = num;
-            if (solveBoard(board)) {
-              return true;
-            }
-            board[row][col] = 0;
-          }
-        }
-        return false; // no number works here
+// Number of set bits for every candidate mask, up to 16 digits
+const POPCOUNT = new Uint8Array(1 << 16);
+for (let mask = 1; mask < POPCOUNT.length; mask++) {
+  POPCOUNT[mask] = POPCOUNT[mask >> 1] + (mask & 1);
+}
+
+// Depth-first search over candidate bitmasks. Each row, column and box
+// keeps a mask of the digits it holds, so a cell's candidates are one OR
+// away, and the search always branches on the empty cell with the fewest
+// candidates. Stops once `limit` solutions are found and returns how many
+// it found. With `keepSolution` the board is left holding the first
+// solution, otherwise it is restored. Passing a `random` generator
+// shuffles the digit order. Variant `rules` are checked on top of the
+// row, column and box masks; classic boards skip that entirely. With
+// `maxNodes` the search gives up after placing that many digits and
+// returns -1. A `found` array collects a copy of each solution.
+function searchSolutions(board, limit, keepSolution, random, rules = [], maxNodes = Infinity, found = null) {
+  const grid = gridFor(board.length, rules);
+  const CELL_ROW = grid.cellRow;
+  const CELL_COL = grid.cellCol;
+  const CELL_BOX = grid.cellBox;
+  const rowMask = new Array(grid.size).fill(0);
+  const colMask = new Array(grid.size).fill(0);
+  const boxMask = new Array(grid.size).fill(0);
+  const empties = [];
+  const hasVariants = grid.rules.length > 0;
+  const variantMask = new Array(grid.variantUnits.length).fill(0);
+  const cageSum = grid.cages.map(() => 0);
+  const cageUsed = grid.cages.map(() => 0);
+  const cageEmpty = grid.cages.map((cage) => cage.cells.length);
+  const values = [];
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    values.push(board[CELL_ROW[cell]][CELL_COL[cell]]);
+  }
+
+  // Digits the variant rules rule out for a cell. Plain loops: this runs
+  // for every empty cell at every step of the search.
+  function variantUsed(cell) {
+    let used = 0;
+    const units = grid.variantUnitsOf[cell];
+    for (let i = 0; i < units.length; i++) used |= variantMask[units[i]];
+    const peers = grid.extraPeers[cell];
+    for (let i = 0; i < peers.length; i++) {
+      const value = values[peers[i]];
+      if (value !== 0) used |= 1 << (value - 1);
+    }
+    const relations = grid.relations[cell];
+    for (let i = 0; i < relations.length; i++) {
+      used |= relations[i].excludes[values[relations[i].cell]];
+    }
+    const cage = grid.cageOf[cell];
+    if (cage >= 0) {
+      used |= ~cageCandidates(grid.size, cageEmpty[cage], grid.cages[cage].sum - cageSum[cage], cageUsed[cage]);
+    }
+    return used;
+  }
+
+  // Keep the variant units and cages up to date as a digit goes in or out
+  function setVariantState(cell, bit, on) {
+    const units = grid.variantUnitsOf[cell];
+    for (let i = 0; i < units.length; i++) {
+      variantMask[units[i]] = on ? variantMask[units[i]] | bit : variantMask[units[i]] & ~bit;
+    }
+    const cage = grid.cageOf[cell];
+    if (cage >= 0) {
+      const digit = 32 - Math.clz32(bit);
+      cageSum[cage] += on ? digit : -digit;
+      cageUsed[cage] = on ? cageUsed[cage] | bit : cageUsed[cage] & ~bit;
+      cageEmpty[cage] += on ? -1 : 1;
+    }
+  }
+
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    const value = values[cell];
+    if (value === 0) {
+      empties.push(cell);
+      continue;
+    }
+    const bit = digitBit(value);
+    let used = rowMask[CELL_ROW[cell]] | colMask[CELL_COL[cell]] | boxMask[CELL_BOX[cell]];
+    if (hasVariants) used |= variantUsed(cell);
+    if (used & bit) return 0; // givens already clash
+    rowMask[CELL_ROW[cell]] |= bit;
+    colMask[CELL_COL[cell]] |= bit;
+    boxMask[CELL_BOX[cell]] |= bit;
+    if (hasVariants) setVariantState(cell, bit, true);
+  }
+
+  let solutions = 0;
+  let nodes = 0;
+
+  function backtrack(remaining) {
+    if (remaining === 0) {
+      solutions += 1;
+      if (found) found.push(cloneBoard(board));
+      return solutions >= limit;
+    }
+    if (++nodes > maxNodes) return true; // out of budget: unwind
+
+    // Minimum remaining values: pick the most constrained empty cell
+    let bestIndex = -1;
+    let bestMask = 0;
+    let bestCount = grid.size + 1;
+    for (let i = 0; i < remaining; i++) {
+      const cell = empties[i];
+      let used = rowMask[CELL_ROW[cell]] | colMask[CELL_COL[cell]] | boxMask[CELL_BOX[cell]];
+      if (hasVariants) used |= variantUsed(cell);
+      const mask = grid.allCandidates & ~used;
+      const count = POPCOUNT[mask];
+      if (count < bestCount) {
+        bestIndex = i;
+        bestMask = mask;
+        bestCount = count;
+        if (count <= 1) break;
       }
     }
+    if (bestCount === 0) return false; // dead end
+
+    // Move the chosen cell out of the active range
+    const cell = empties[bestIndex];
+    empties[bestIndex] = empties[remaining - 1];
+    empties[remaining - 1] = cell;
+
+    const row = CELL_ROW[cell];
+    const col = CELL_COL[cell];
+    const box = CELL_BOX[cell];
+    const digits = random ? shuffleArray(maskDigits(bestMask), random) : null;
+    let mask = bestMask;
+
+    for (let i = 0; i < bestCount; i++) {
+      // Lowest remaining candidate first, unless randomized
+      const bit = digits ? digitBit(digits[i]) : mask & -mask;
+      mask &= ~bit;
+      board[row][col] = 32 - Math.clz32(bit);
+      values[cell] = board[row][col];
+      rowMask[row] |= bit;
+      colMask[col] |= bit;
+      boxMask[box] |= bit;
+      if (hasVariants) setVariantState(cell, bit, true);
+
+      const done = backtrack(remaining - 1);
+
+      rowMask[row] &= ~bit;
+      colMask[col] &= ~bit;
+      boxMask[box] &= ~bit;
+      if (hasVariants) setVariantState(cell, bit, false);
+      if (done) return true;
+    }
+
+    board[row][col] = 0;
+    values[cell] = 0;
+    empties[remaining - 1] = empties[bestIndex];
+    empties[bestIndex] = cell;
+    return false;
   }
-  // No empty cells, solved
-  return true;
+
+  backtrack(empties.length);
+  const gaveUp = nodes > maxNodes;
+
+  if (!keepSolution || solutions === 0 || gaveUp) {
+    empties.forEach((cell) => {
+      board[CELL_ROW[cell]][CELL_COL[cell]] = 0;
+    });
+  }
+  return gaveUp ? -1 : solutions;
+}
+
+// Solve a board in place, stop at the first solution.
+// Digits are tried in random order so generated grids vary.
+function solveBoard(board, random = Math.random, rules = []) {
+  return searchSolutions(board, 1, true, random, rules) > 0;
 }
 
 // Count how many solutions the board has, up to a limit.
 // If solutions reach `limit`, we stop and return at least that many.
-function countSolutions(board, limit) {
-  let solutions = 0;
+// The board is left as it was. Returns -1 if the search gives up after
+// placing `maxNodes` digits.
+function countSolutions(board, limit, rules = [], maxNodes = Infinity) {
+  return searchSolutions(board, limit, false, null, rules, maxNodes);
+}
 
-  function backtrack() {
-    if (solutions >= limit) return; // already enough
+// Up to `limit` solutions of the board, as new boards; null if the search
+// gives up after placing `maxNodes` digits. The board is left as it was.
+function findSolutions(board, limit, rules = [], maxNodes = Infinity) {
+  const found = [];
+  const count = searchSolutions(cloneBoard(board), limit, false, null, rules, maxNodes, found);
+  return count < 0 ? null : found;
+}
 
-    for (let row = 0; row < ROWS; row++) {
-      for (let col = 0; col < COLS; col++) {
-        if (board[row][col] === 0) {
-          for (let num = 1; num <= 9; num++) {
-            if (isSafe(board, row, col, num)) {
-              board[row][col] = num;
-              backtrack();
-              board[row][col] = 0;
+/* =========================
+   Logical solver (human-style techniques)
+   ========================= */
 
-              if (solutions >= limit) return;
-            }
-          }
-          return; // no number works here, backtrack
+// Difficulty tiers from easiest to hardest. A puzzle is graded by the
+// hardest technique the logical solver needs to finish it. "d" means the
+// techniques below are not enough and the puzzle needs trial and error.
+const DIFFICULTIES = ["e", "m", "h", "x", "d"];
+
+// Candidate sets are bitmasks: bit (d - 1) set means digit d is possible
+function digitBit(digit) {
+  return 1 << (digit - 1);
+}
+
+function bitCount(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+function maskDigits(mask) {
+  const digits = [];
+  while (mask) {
+    const bit = mask & -mask;
+    digits.push(32 - Math.clz32(bit));
+    mask &= ~bit;
+  }
+  return digits;
+}
+
+// All ways to pick `size` items from `items`, keeping their order
+function combinations(items, size) {
+  const result = [];
+  const combo = [];
+  function pick(start) {
+    if (combo.length === size) {
+      result.push(combo.slice());
+      return;
+    }
+    for (let i = start; i < items.length; i++) {
+      combo.push(items[i]);
+      pick(i + 1);
+      combo.pop();
+    }
+  }
+  pick(0);
+  return result;
+}
+
+function cellName(grid, cell) {
+  return `R${grid.cellRow[cell] + 1}C${grid.cellCol[cell] + 1}`;
+}
+
+function unitName(unit) {
+  return `${unit.type} ${unit.index + 1}`;
+}
+
+function listCells(grid, cells) {
+  return cells.map((cell) => cellName(grid, cell)).join(", ");
+}
+
+function listDigits(mask) {
+  return maskDigits(mask).map(digitSymbol).join("/");
+}
+
+// Solver state: placed values plus a candidate mask for every empty cell
+function createLogicState(board, rules = []) {
+  const grid = gridFor(board.length, rules);
+  const values = [];
+  const candidates = [];
+  for (let r = 0; r < grid.size; r++) {
+    for (let c = 0; c < grid.size; c++) {
+      values.push(board[r][c]);
+    }
+  }
+  for (let cell = 0; cell < values.length; cell++) {
+    let mask = 0;
+    if (values[cell] === 0) {
+      mask = grid.allCandidates;
+      grid.peers[cell].forEach((peer) => {
+        if (values[peer] !== 0) mask &= ~digitBit(values[peer]);
+      });
+      grid.relations[cell].forEach((relation) => {
+        mask &= ~relation.excludes[values[relation.cell]];
+      });
+    }
+    candidates.push(mask);
+  }
+  return { grid, values, candidates };
+}
+
+// Cells in `cells` that still have `digit` as a candidate
+function cellsWithCandidate(state, cells, digit) {
+  const bit = digitBit(digit);
+  return cells.filter((cell) => state.candidates[cell] & bit);
+}
+
+function placement(grid, cell, digit) {
+  return { row: grid.cellRow[cell], col: grid.cellCol[cell], digit };
+}
+
+function position(grid, cell) {
+  return { row: grid.cellRow[cell], col: grid.cellCol[cell] };
+}
+
+// Eliminations of every digit in `mask` from `cells`, skipping ones
+// that are already gone
+function eliminationsFor(state, cells, mask) {
+  const result = [];
+  cells.forEach((cell) => {
+    maskDigits(state.candidates[cell] & mask).forEach((digit) => {
+      result.push(placement(state.grid, cell, digit));
+    });
+  });
+  return result;
+}
+
+function describeEliminations(eliminations) {
+  return eliminations
+    .map((e) => `${digitSymbol(e.digit)} from R${e.row + 1}C${e.col + 1}`)
+    .join(", ");
+}
+
+/* ---- Singles ---- */
+
+function findFullHouse(state) {
+  const { grid } = state;
+  for (const unit of grid.units) {
+    const empty = unit.cells.filter((cell) => state.values[cell] === 0);
+    if (empty.length !== 1) continue;
+    const cell = empty[0];
+    if (bitCount(state.candidates[cell]) !== 1) continue;
+    const digit = maskDigits(state.candidates[cell])[0];
+    return {
+      placements: [placement(grid, cell, digit)],
+      cells: [position(grid, cell)],
+      units: [unit],
+      description: `Full house in ${unitName(unit)}: ${cellName(grid, cell)} is the last empty cell and must be ${digitSymbol(digit)}`
+    };
+  }
+  return null;
+}
+
+function findHiddenSingle(state) {
+  const { grid } = state;
+  for (const unit of grid.units) {
+    for (let d = 1; d <= grid.size; d++) {
+      const spots = cellsWithCandidate(state, unit.cells, d);
+      if (spots.length !== 1) continue;
+      const cell = spots[0];
+      return {
+        placements: [placement(grid, cell, d)],
+        cells: [position(grid, cell)],
+        units: [unit],
+        description: `Hidden single in ${unitName(unit)}: only ${cellName(grid, cell)} can hold ${digitSymbol(d)}`
+      };
+    }
+  }
+  return null;
+}
+
+function findNakedSingle(state) {
+  const { grid } = state;
+  for (let cell = 0; cell < state.values.length; cell++) {
+    if (state.values[cell] !== 0) continue;
+    if (bitCount(state.candidates[cell]) !== 1) continue;
+    const digit = maskDigits(state.candidates[cell])[0];
+    return {
+      placements: [placement(grid, cell, digit)],
+      cells: [position(grid, cell)],
+      units: [],
+      description: `Naked single: ${digitSymbol(digit)} is the only candidate left in ${cellName(grid, cell)}`
+    };
+  }
+  return null;
+}
+
+/* ---- Killer cages ---- */
+
+// Try every way to fill a cage's empty cells from their candidates with
+// different digits that reach the cage's sum; a candidate no way uses
+// can go
+function findCageCombination(state) {
+  const { grid } = state;
+  for (const cage of grid.cages) {
+    const empty = cage.cells.filter((cell) => state.values[cell] === 0);
+    if (empty.length === 0) continue;
+
+    let sumLeft = cage.sum;
+    let used = 0;
+    cage.cells.forEach((cell) => {
+      if (state.values[cell] !== 0) {
+        sumLeft -= state.values[cell];
+        used |= digitBit(state.values[cell]);
+      }
+    });
+
+    // Try every way of filling the cage from the candidates, cutting each
+    // cell down to the digits that can still make up what is left
+    const possible = empty.map(() => 0);
+    const chosen = [];
+    function fill(i, sum, taken) {
+      if (i === empty.length) {
+        for (let j = 0; j < empty.length; j++) possible[j] |= chosen[j];
+        return;
+      }
+      let options = state.candidates[empty[i]] & cageCandidates(grid.size, empty.length - i, sum, taken);
+      while (options) {
+        const bit = options & -options;
+        options ^= bit;
+        chosen[i] = bit;
+        fill(i + 1, sum - (32 - Math.clz32(bit)), taken | bit);
+      }
+    }
+    fill(0, sumLeft, used);
+
+    const eliminations = [];
+    empty.forEach((cell, j) => {
+      maskDigits(state.candidates[cell] & ~possible[j]).forEach((digit) => {
+        eliminations.push(placement(grid, cell, digit));
+      });
+    });
+    if (eliminations.length === 0) continue;
+
+    return {
+      eliminations,
+      cells: cage.cells.map((cell) => position(grid, cell)),
+      units: [],
+      description: `Cage combinations: the ${cage.cells.length}-cell cage at ${cellName(grid, cage.cells[0])} must add up to ${cage.sum}, and no way of doing that leaves room for ${describeEliminations(eliminations)}, so remove them`
+    };
+  }
+  return null;
+}
+
+/* ---- Locked candidates ---- */
+
+// A digit confined to one row or column inside a box can be removed from
+// the rest of that row or column
+function findPointing(state) {
+  const { grid } = state;
+  for (const box of grid.boxUnits) {
+    for (let d = 1; d <= grid.size; d++) {
+      const spots = cellsWithCandidate(state, box.cells, d);
+      if (spots.length < 2) continue;
+
+      const lines = [];
+      if (spots.every((cell) => grid.cellRow[cell] === grid.cellRow[spots[0]])) {
+        lines.push(grid.rowUnits[grid.cellRow[spots[0]]]);
+      }
+      if (spots.every((cell) => grid.cellCol[cell] === grid.cellCol[spots[0]])) {
+        lines.push(grid.colUnits[grid.cellCol[spots[0]]]);
+      }
+
+      for (const line of lines) {
+        const outside = line.cells.filter((cell) => grid.cellBox[cell] !== box.index);
+        const eliminations = eliminationsFor(state, outside, digitBit(d));
+        if (eliminations.length === 0) continue;
+        const kind = spots.length === 2 ? "pair" : "triple";
+        return {
+          eliminations,
+          cells: spots.map((cell) => position(grid, cell)),
+          units: [box, line],
+          description: `Pointing ${kind} in ${unitName(box)}: ${digitSymbol(d)} must be in ${unitName(line)} there, so remove ${describeEliminations(eliminations)}`
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// A digit confined to one box inside a row or column can be removed from
+// the rest of that box
+function findBoxLine(state) {
+  const { grid } = state;
+  for (const line of grid.rowUnits.concat(grid.colUnits)) {
+    for (let d = 1; d <= grid.size; d++) {
+      const spots = cellsWithCandidate(state, line.cells, d);
+      if (spots.length < 2) continue;
+      if (!spots.every((cell) => grid.cellBox[cell] === grid.cellBox[spots[0]])) continue;
+
+      const box = grid.boxUnits[grid.cellBox[spots[0]]];
+      const outside = box.cells.filter((cell) => !line.cells.includes(cell));
+      const eliminations = eliminationsFor(state, outside, digitBit(d));
+      if (eliminations.length === 0) continue;
+      return {
+        eliminations,
+        cells: spots.map((cell) => position(grid, cell)),
+        units: [line, box],
+        description: `Box/line reduction: in ${unitName(line)}, ${digitSymbol(d)} only fits inside ${unitName(box)}, so remove ${describeEliminations(eliminations)}`
+      };
+    }
+  }
+  return null;
+}
+
+/* ---- Naked and hidden subsets ---- */
+
+const SUBSET_NAMES = { 2: "pair", 3: "triple", 4: "quad" };
+
+// N cells in a unit that together hold exactly N candidates
+function findNakedSubset(state, size) {
+  const { grid } = state;
+  for (const unit of grid.units) {
+    const empty = unit.cells.filter((cell) => state.values[cell] === 0);
+    if (empty.length <= size) continue;
+    const options = empty.filter((cell) => bitCount(state.candidates[cell]) <= size);
+
+    for (const combo of combinations(options, size)) {
+      let mask = 0;
+      combo.forEach((cell) => {
+        mask |= state.candidates[cell];
+      });
+      if (bitCount(mask) !== size) continue;
+
+      const others = empty.filter((cell) => !combo.includes(cell));
+      const eliminations = eliminationsFor(state, others, mask);
+      if (eliminations.length === 0) continue;
+      return {
+        eliminations,
+        cells: combo.map((cell) => position(grid, cell)),
+        units: [unit],
+        description: `Naked ${SUBSET_NAMES[size]} ${listDigits(mask)} in ${unitName(unit)} at ${listCells(grid, combo)}, so remove ${describeEliminations(eliminations)}`
+      };
+    }
+  }
+  return null;
+}
+
+// N digits in a unit that fit only into the same N cells
+function findHiddenSubset(state, size) {
+  const { grid } = state;
+  for (const unit of grid.units) {
+    const digits = [];
+    for (let d = 1; d <= grid.size; d++) {
+      const count = cellsWithCandidate(state, unit.cells, d).length;
+      if (count >= 2 && count <= size) digits.push(d);
+    }
+
+    for (const combo of combinations(digits, size)) {
+      const cells = new Set();
+      let mask = 0;
+      combo.forEach((d) => {
+        mask |= digitBit(d);
+        cellsWithCandidate(state, unit.cells, d).forEach((cell) => cells.add(cell));
+      });
+      if (cells.size !== size) continue;
+
+      const subset = Array.from(cells);
+      const eliminations = eliminationsFor(state, subset, grid.allCandidates & ~mask);
+      if (eliminations.length === 0) continue;
+      return {
+        eliminations,
+        cells: subset.map((cell) => position(grid, cell)),
+        units: [unit],
+        description: `Hidden ${SUBSET_NAMES[size]} ${listDigits(mask)} in ${unitName(unit)}: they only fit in ${listCells(grid, subset)}, so remove ${describeEliminations(eliminations)}`
+      };
+    }
+  }
+  return null;
+}
+
+/* ---- Fish (X-Wing, Swordfish, Jellyfish) ---- */
+
+const FISH_NAMES = { 2: "X-Wing", 3: "Swordfish", 4: "Jellyfish" };
+
+// N rows where a digit fits only into the same N columns (or the other way
+// round) let us remove the digit from the rest of those columns
+function findFish(state, size) {
+  const { grid } = state;
+  for (let d = 1; d <= grid.size; d++) {
+    for (const baseUnits of [grid.rowUnits, grid.colUnits]) {
+      const byRow = baseUnits === grid.rowUnits;
+      const coverIndex = byRow ? (cell) => grid.cellCol[cell] : (cell) => grid.cellRow[cell];
+      const baseIndex = byRow ? (cell) => grid.cellRow[cell] : (cell) => grid.cellCol[cell];
+
+      const lines = [];
+      baseUnits.forEach((unit) => {
+        const spots = cellsWithCandidate(state, unit.cells, d);
+        if (spots.length >= 2 && spots.length <= size) {
+          lines.push({ unit, spots });
         }
+      });
+
+      for (const combo of combinations(lines, size)) {
+        const covers = new Set();
+        combo.forEach((line) => line.spots.forEach((cell) => covers.add(coverIndex(cell))));
+        if (covers.size !== size) continue;
+
+        const bases = new Set(combo.map((line) => line.unit.index));
+        const coverUnits = Array.from(covers).map((i) => (byRow ? grid.colUnits[i] : grid.rowUnits[i]));
+        const targets = [];
+        coverUnits.forEach((unit) => {
+          unit.cells.forEach((cell) => {
+            if (!bases.has(baseIndex(cell))) targets.push(cell);
+          });
+        });
+        const eliminations = eliminationsFor(state, targets, digitBit(d));
+        if (eliminations.length === 0) continue;
+
+        const baseNames = combo.map((line) => line.unit.index + 1).join(", ");
+        const coverNames = coverUnits.map((unit) => unit.index + 1).join(", ");
+        const baseType = byRow ? "rows" : "columns";
+        const coverType = byRow ? "columns" : "rows";
+        const cells = [];
+        combo.forEach((line) => line.spots.forEach((cell) => cells.push(position(grid, cell))));
+        return {
+          eliminations,
+          cells,
+          units: combo.map((line) => line.unit).concat(coverUnits),
+          description: `${FISH_NAMES[size]} on ${digitSymbol(d)}: in ${baseType} ${baseNames} it only fits in ${coverType} ${coverNames}, so remove ${describeEliminations(eliminations)}`
+        };
       }
     }
-    // No empty cells, found a complete solution
-    solutions += 1;
   }
+  return null;
+}
+
+/* ---- Wings ---- */
+
+// Pivot XY with pincers XZ and YZ: whichever way the pivot goes, one
+// pincer is Z, so Z can go from every cell that sees both pincers
+function findXYWing(state) {
+  const { grid, values, candidates } = state;
+  for (let pivot = 0; pivot < values.length; pivot++) {
+    const pivotMask = candidates[pivot];
+    if (values[pivot] !== 0 || bitCount(pivotMask) !== 2) continue;
+
+    const wings = grid.peers[pivot].filter((cell) => {
+      const mask = candidates[cell];
+      return bitCount(mask) === 2 && bitCount(mask & pivotMask) === 1;
+    });
+
+    for (const [a, b] of combinations(wings, 2)) {
+      const sharedA = candidates[a] & pivotMask;
+      const sharedB = candidates[b] & pivotMask;
+      const z = candidates[a] & ~pivotMask;
+      if (sharedA === sharedB || z !== (candidates[b] & ~pivotMask)) continue;
+
+      const targets = grid.peers[a].filter((cell) => cell !== pivot && grid.peerSets[b].has(cell));
+      const eliminations = eliminationsFor(state, targets, z);
+      if (eliminations.length === 0) continue;
+      return {
+        eliminations,
+        cells: [pivot, a, b].map((cell) => position(grid, cell)),
+        units: [],
+        description: `XY-Wing: pivot ${cellName(grid, pivot)} (${listDigits(pivotMask)}) with pincers ${cellName(grid, a)} (${listDigits(candidates[a])}) and ${cellName(grid, b)} (${listDigits(candidates[b])}), so remove ${describeEliminations(eliminations)}`
+      };
+    }
+  }
+  return null;
+}
+
+// Like the XY-Wing, but the pivot also holds Z, so the removal only
+// applies to cells that see the pivot as well
+function findXYZWing(state) {
+  const { grid, values, candidates } = state;
+  for (let pivot = 0; pivot < values.length; pivot++) {
+    const pivotMask = candidates[pivot];
+    if (values[pivot] !== 0 || bitCount(pivotMask) !== 3) continue;
+
+    const wings = grid.peers[pivot].filter((cell) => {
+      const mask = candidates[cell];
+      return bitCount(mask) === 2 && (mask & ~pivotMask) === 0;
+    });
 
-  backtrack();
-  return solutions;
+    for (const [a, b] of combinations(wings, 2)) {
+      const z = candidates[a] & candidates[b];
+      if (bitCount(z) !== 1 || (candidates[a] | candidates[b]) !== pivotMask) continue;
+
+      const targets = grid.peers[pivot].filter(
+        (cell) => cell !== a && cell !== b && grid.peerSets[a].has(cell) && grid.peerSets[b].has(cell)
+      );
+      const eliminations = eliminationsFor(state, targets, z);
+      if (eliminations.length === 0) continue;
+      return {
+        eliminations,
+        cells: [pivot, a, b].map((cell) => position(grid, cell)),
+        units: [],
+        description: `XYZ-Wing: pivot ${cellName(grid, pivot)} (${listDigits(pivotMask)}) with pincers ${cellName(grid, a)} and ${cellName(grid, b)}, so remove ${describeEliminations(eliminations)}`
+      };
+    }
+  }
+  return null;
+}
+
+// Techniques in the order the solver tries them, each tagged with the
+// difficulty tier it belongs to
+const TECHNIQUES = [
+  { name: "Full house", level: "e", find: findFullHouse },
+  { name: "Hidden single", level: "e", find: findHiddenSingle },
+  { name: "Naked single", level: "e", find: findNakedSingle },
+  { name: "Cage combinations", level: "e", find: findCageCombination },
+  { name: "Pointing pair", level: "m", find: findPointing },
+  { name: "Box/line reduction", level: "m", find: findBoxLine },
+  { name: "Naked pair", level: "m", find: (state) => findNakedSubset(state, 2) },
+  { name: "Hidden pair", level: "m", find: (state) => findHiddenSubset(state, 2) },
+  { name: "Naked triple", level: "h", find: (state) => findNakedSubset(state, 3) },
+  { name: "Hidden triple", level: "h", find: (state) => findHiddenSubset(state, 3) },
+  { name: "X-Wing", level: "h", find: (state) => findFish(state, 2) },
+  { name: "XY-Wing", level: "h", find: findXYWing },
+  { name: "Naked quad", level: "x", find: (state) => findNakedSubset(state, 4) },
+  { name: "Hidden quad", level: "x", find: (state) => findHiddenSubset(state, 4) },
+  { name: "XYZ-Wing", level: "x", find: findXYZWing },
+  { name: "Swordfish", level: "x", find: (state) => findFish(state, 3) },
+  { name: "Jellyfish", level: "x", find: (state) => findFish(state, 4) }
+];
+
+// Find the simplest technique that makes progress, up to `maxLevel`.
+// Returns a step { technique, level, placements, eliminations, cells,
+// units, description } or null when the solver is stuck.
+function findLogicalStep(state, maxLevel) {
+  const limit = DIFFICULTIES.indexOf(maxLevel || "x");
+  for (const technique of TECHNIQUES) {
+    if (DIFFICULTIES.indexOf(technique.level) > limit) continue;
+    const found = technique.find(state);
+    if (found) {
+      return {
+        technique: technique.name,
+        level: technique.level,
+        placements: found.placements || [],
+        eliminations: found.eliminations || [],
+        cells: found.cells,
+        units: found.units.map((unit) => ({ type: unit.type, index: unit.index })),
+        description: found.description
+      };
+    }
+  }
+  return null;
+}
+
+// Next logical step from a part-filled board, e.g. for a hint.
+// `allowed` optionally narrows each cell to a list of digits (a grid of
+// arrays the size of the board, empty or null for no restriction) such
+// as the player's notes.
+// Steps are only sound if every list still holds the cell's real digit.
+// `rules` are the puzzle's variant rules, if any.
+function findNextStep(board, allowed, rules = []) {
+  const state = createLogicState(board, rules);
+  const { grid } = state;
+  if (allowed) {
+    for (let cell = 0; cell < state.values.length; cell++) {
+      const digits = allowed[grid.cellRow[cell]][grid.cellCol[cell]];
+      if (!digits || digits.length === 0) continue;
+      let mask = 0;
+      digits.forEach((d) => {
+        mask |= digitBit(d);
+      });
+      state.candidates[cell] &= mask;
+    }
+  }
+  return findLogicalStep(state);
+}
+
+function applyLogicalStep(state, step) {
+  const { grid } = state;
+  step.placements.forEach(({ row, col, digit }) => {
+    const cell = row * grid.size + col;
+    state.values[cell] = digit;
+    state.candidates[cell] = 0;
+    grid.peers[cell].forEach((peer) => {
+      state.candidates[peer] &= ~digitBit(digit);
+    });
+    grid.relations[cell].forEach((relation) => {
+      state.candidates[relation.cell] &= ~relation.excludes[digit];
+    });
+  });
+  step.eliminations.forEach(({ row, col, digit }) => {
+    state.candidates[row * grid.size + col] &= ~digitBit(digit);
+  });
+}
+
+// Solve as far as the techniques up to `maxLevel` allow ("x" by default).
+// Returns { solved, board, steps }; `board` holds whatever was filled in.
+function solveLogically(board, maxLevel, rules = []) {
+  const state = createLogicState(board, rules);
+  const steps = [];
+
+  while (state.values.includes(0)) {
+    // An empty cell with no candidates means the grid is broken
+    const stuck = state.values.some((value, cell) => value === 0 && state.candidates[cell] === 0);
+    if (stuck) break;
+
+    const step = findLogicalStep(state, maxLevel);
+    if (!step) break;
+    applyLogicalStep(state, step);
+    steps.push(step);
+  }
+
+  const solved = !state.values.includes(0);
+  const { grid } = state;
+  const result = createBlankBoard(grid.size);
+  state.values.forEach((value, cell) => {
+    result[grid.cellRow[cell]][grid.cellCol[cell]] = value;
+  });
+  return { solved, board: result, steps };
+}
+
+// Grade a puzzle by the hardest technique it needs.
+// Returns { difficulty, solved, hardestTechnique, techniques } where
+// `techniques` counts how often each technique was used.
+function gradePuzzle(board, rules = []) {
+  return gradeTrace(solveLogically(board, undefined, rules));
+}
+
+// The grade of a puzzle from the { solved, steps } solveLogically gave
+// for it (with no maxLevel), for callers that want the steps as well
+function gradeTrace({ solved, steps }) {
+  const techniques = {};
+  let hardest = null;
+
+  steps.forEach((step) => {
+    techniques[step.technique] = (techniques[step.technique] || 0) + 1;
+    if (!hardest || DIFFICULTIES.indexOf(step.level) > DIFFICULTIES.indexOf(hardest.level)) {
+      hardest = step;
+    }
+  });
+
+  let difficulty = "d";
+  if (solved) {
+    difficulty = hardest ? hardest.level : "e";
+  }
+
+  return {
+    difficulty,
+    solved,
+    hardestTechnique: solved && hardest ? hardest.technique : null,
+    techniques
+  };
+}
+
+/* =========================
+   Seeded randomness
+   ========================= */
+
+// Turn any seed string into a 32-bit integer (FNV-1a hash)
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 PRNG: returns a function giving floats in [0, 1). It only
+// uses 32-bit integer math, so a seed yields the same numbers everywhere.
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh short seed such as "k3x9q1a"
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296).toString(36);
 }
 
 /* =========================
    Generation helpers
    ========================= */
 
-// Fisher Yates shuffle for small arrays
-function shuffleArray(arr) {
+// Fisher Yates shuffle for small arrays.
+// `random` is a seeded generator from createRandom, Math.random by default.
+function shuffleArray(arr, random = Math.random) {
   const copy = arr.slice();
   for (let i = copy.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     const tmp = copy[i];
     copy[i] = copy[j];
     copy[j] = tmp;
@@ -132,64 +1329,413 @@ function shuffleArray(arr) {
   return copy;
 }
 
-// Generate a fully solved valid Sudoku board
-function generateFullSolution() {
-  const board = createBlankBoard();
+// Digits placed per try, and tries, when searching for a variant grid
+const VARIANT_GRID_NODES = 50000;
+const VARIANT_GRID_RESTARTS = 50;
 
-  // Fill diagonal 3x3 boxes first
-  for (let box = 0; box < 3; box++) {
-    fillBox(board, box * 3, box * 3);
+// Generate a fully solved valid Sudoku board of the given size and rules.
+// `maxNodes` is the budget of each try at a variant grid.
+function generateFullSolution(random = Math.random, size = 9, rules = [], maxNodes = VARIANT_GRID_NODES) {
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  const independent = Math.min(size / boxRows, size / boxCols);
+
+  // A box filled at random can break a variant rule (two digits touching
+  // diagonally, say), so variant grids are searched for from scratch.
+  // A random search that goes wrong early can wander for ages, so each
+  // try gets a budget and the next starts over with a new digit order.
+  // A try that finishes inside its budget without a grid proves there is
+  // none; running out of tries gives up too.
+  if (rules.some(ruleReady)) {
+    for (let restart = 0; restart < VARIANT_GRID_RESTARTS; restart++) {
+      const board = createBlankBoard(size);
+      const found = searchSolutions(board, 1, true, random, rules, maxNodes);
+      if (found > 0) return board;
+      if (found === 0) break;
+    }
+    throw new Error("No grid could be found for this combination of rules; try fewer of them.");
   }
 
-  // Then solve the rest
-  solveBoard(board);
-  return board;
+  for (;;) {
+    const board = createBlankBoard(size);
+
+    // Fill the boxes down the diagonal first; they share no row or column,
+    // so they can't clash with each other
+    for (let box = 0; box < independent; box++) {
+      fillBox(board, box * boxRows, box * boxCols, random);
+    }
+
+    // Then solve the rest. On 9x9 that always works; on the small boards
+    // some starting boxes leave no solution, so start over with new ones.
+    if (solveBoard(board, random)) return board;
+  }
 }
 
-// Fill a 3x3 box starting at (rowStart, colStart) with random 1-9
-function fillBox(board, rowStart, colStart) {
-  const nums = shuffleArray([1,2,3,4,5,6,7,8,9]);
+// Fill the box starting at (rowStart, colStart) with the digits in random order
+function fillBox(board, rowStart, colStart, random = Math.random) {
+  const size = board.length;
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  const digits = [];
+  for (let d = 1; d <= size; d++) digits.push(d);
+
+  const nums = shuffleArray(digits, random);
   let idx = 0;
-  for (let r = 0; r < 3; r++) {
-    for (let c = 0; c < 3; c++) {
+  for (let r = 0; r < boxRows; r++) {
+    for (let c = 0; c < boxCols; c++) {
       board[rowStart + r][colStart + c] = nums[idx++];
     }
   }
 }
 
 /* =========================
-   Remove cells while keeping uniqueness
+   Jigsaw regions and killer cages
    ========================= */
 
-// Remove up to `blanksTarget` cells, ensuring the puzzle has a unique solution.
-// If uniqueness would be broken, we undo that removal.
-function removeCellsWithUniqueness(puzzle, blanksTarget) {
+// Swaps to try when bending the regular boxes into jigsaw regions, per cell
+const JIGSAW_SWAPS_PER_CELL = 2;
+
+// Jigsaw regions for a board size: start from the regular boxes and keep
+// handing a cell on the edge of one region to the region next door,
+// which hands back one of its own cells on the shared edge, as long as
+// both regions stay in one piece. Every region keeps its size.
+// Returns the region of each cell, cells numbered row by row.
+function makeJigsawRegions(size, random = Math.random) {
+  const grid = gridFor(size);
+  const regions = grid.cellBox.slice();
+  const sides = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  const pick = (items) => items[Math.floor(random() * items.length)];
+
+  for (let i = 0; i < grid.cellCount * JIGSAW_SWAPS_PER_CELL; i++) {
+    const given = Math.floor(random() * grid.cellCount);
+    const from = regions[given];
+    const others = offsetCells(grid, given, sides).filter((other) => regions[other] !== from);
+    if (others.length === 0) continue;
+    const to = regions[pick(others)];
+
+    regions[given] = to;
+    const returns = [];
+    for (let cell = 0; cell < grid.cellCount; cell++) {
+      if (cell !== given && regions[cell] === to && offsetCells(grid, cell, sides).some((other) => regions[other] === from)) {
+        returns.push(cell);
+      }
+    }
+    const returned = returns.length > 0 ? pick(returns) : -1;
+    if (returned >= 0) regions[returned] = from;
+    if (returned < 0 || !regionConnected(grid, regions, from) || !regionConnected(grid, regions, to)) {
+      regions[given] = from;
+      if (returned >= 0) regions[returned] = to;
+    }
+  }
+  return regions;
+}
+
+// Whether the cells of `region` all join up side by side
+function regionConnected(grid, regions, region) {
+  const cells = [];
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    if (regions[cell] === region) cells.push(cell);
+  }
+  const seen = new Set([cells[0]]);
+  const stack = [cells[0]];
+  while (stack.length > 0) {
+    offsetCells(grid, stack.pop(), [[-1, 0], [1, 0], [0, -1], [0, 1]]).forEach((other) => {
+      if (regions[other] === region && !seen.has(other)) {
+        seen.add(other);
+        stack.push(other);
+      }
+    });
+  }
+  return seen.size === cells.length;
+}
+
+// Cage sizes to aim for, picked at random; a cage that runs out of room
+// stays smaller
+const CAGE_SIZES = [2, 2, 3, 3, 3, 4, 4];
+
+// Killer cages for a solved board: groups of touching cells with no
+// digit twice, each with the sum of its digits. Returns [{ cells, sum }]
+// covering the board, each cage's cells in order and the cages in order
+// of their first cell.
+function makeCages(solution, random = Math.random) {
+  const size = solution.length;
+  const grid = gridFor(size);
+  const digitOf = (cell) => solution[grid.cellRow[cell]][grid.cellCol[cell]];
+  const cageOf = new Array(grid.cellCount).fill(-1);
+  const cages = [];
+
+  // Free cells touching the cage that don't repeat one of its digits
+  function growable(cells) {
+    const options = new Set();
+    cells.forEach((cell) => {
+      offsetCells(grid, cell, [[-1, 0], [1, 0], [0, -1], [0, 1]]).forEach((other) => {
+        if (cageOf[other] === -1 && !cells.some((c) => digitOf(c) === digitOf(other))) {
+          options.add(other);
+        }
+      });
+    });
+    return Array.from(options);
+  }
+
+  shuffleArray(Array.from({ length: grid.cellCount }, (_, i) => i), random).forEach((start) => {
+    if (cageOf[start] !== -1) return;
+    const target = CAGE_SIZES[Math.floor(random() * CAGE_SIZES.length)];
+    const cells = [start];
+    cageOf[start] = cages.length;
+    while (cells.length < target) {
+      const options = growable(cells);
+      if (options.length === 0) break;
+      const next = options[Math.floor(random() * options.length)];
+      cells.push(next);
+      cageOf[next] = cages.length;
+    }
+    cages.push(cells);
+  });
+
+  // A lone cell would just be a given, so fold it into a touching cage
+  // that doesn't have its digit yet, where there is one
+  cages.forEach((cells, index) => {
+    if (cells.length !== 1) return;
+    const home = offsetCells(grid, cells[0], [[-1, 0], [1, 0], [0, -1], [0, 1]])
+      .map((other) => cageOf[other])
+      .find((i) => cages[i].length > 1 && !cages[i].some((c) => digitOf(c) === digitOf(cells[0])));
+    if (home === undefined) return;
+    cages[home].push(cells[0]);
+    cageOf[cells[0]] = home;
+    cages[index] = [];
+  });
+
+  return cages
+    .filter((cells) => cells.length > 0)
+    .map((cells) => {
+      const sorted = cells.slice().sort((a, b) => a - b);
+      return { cells: sorted, sum: sorted.reduce((sum, cell) => sum + digitOf(cell), 0) };
+    })
+    .sort((a, b) => a.cells[0] - b.cells[0]);
+}
+
+// Fill in the data of rules given by key alone that a solved grid is
+// built around (jigsaw regions); the rest are kept as they are
+function layoutRegions(rules, size, random = Math.random) {
+  return rules.map((rule) =>
+    rule === "jigsaw" ? { type: "jigsaw", regions: makeJigsawRegions(size, random) } : rule
+  );
+}
+
+// Some jigsaw layouts are slow to fill and a few can't be filled at all,
+// so made-up regions get small tries at a grid and, failing that, are
+// drawn again, this many times
+const LAYOUT_TRIES = 10;
+const LAYOUT_GRID_NODES = 2000;
+
+// A solved grid for `rules`, with any regions they need made up.
+// Returns { gridRules, solution }, gridRules carrying the regions.
+function generateLayout(rules, size, random = Math.random) {
+  for (let tries = 1; ; tries++) {
+    const gridRules = layoutRegions(rules, size, random);
+    const madeUp = gridRules.some((rule, i) => rule !== rules[i]);
+    try {
+      const solution = generateFullSolution(random, size, gridRules, madeUp ? LAYOUT_GRID_NODES : VARIANT_GRID_NODES);
+      return { gridRules, solution };
+    } catch (error) {
+      if (!madeUp || tries >= LAYOUT_TRIES) throw error;
+    }
+  }
+}
+
+// Fill in the data of rules given by key alone that are drawn over a
+// solved grid (killer cages); the rest are kept as they are
+function layoutCages(rules, solution, random = Math.random) {
+  return rules.map((rule) =>
+    rule === "killer" ? { type: "killer", cages: makeCages(solution, random) } : rule
+  );
+}
+
+/* =========================
+   Clue patterns
+   ========================= */
+
+// How the givens are laid out. A symmetry takes cells out in groups that
+// map onto each other, `cells(size, row, col)` giving the group of a
+// cell; a picture is a 9x9 mask ("x" where givens should stay) and only
+// the cells outside it are taken out. A puzzle can also bring a mask of
+// its own, as a board of 1s (givens) and 0s. Every cell a picture
+// can't spare without losing uniqueness stays a given anyway.
+const CLUE_PATTERNS = {
+  none: {
+    name: "Scattered",
+    cells: (size, row, col) => [[row, col]]
+  },
+  rotational: {
+    name: "Rotational",
+    cells: (size, row, col) => [[row, col], [size - 1 - row, size - 1 - col]]
+  },
+  mirror: {
+    name: "Mirror",
+    cells: (size, row, col) => [[row, col], [row, size - 1 - col]]
+  },
+  diagonal: {
+    name: "Diagonal mirror",
+    cells: (size, row, col) => [[row, col], [col, row]]
+  },
+  fourWay: {
+    name: "Four-way",
+    cells: (size, row, col) => [
+      [row, col],
+      [row, size - 1 - col],
+      [size - 1 - row, col],
+      [size - 1 - row, size - 1 - col]
+    ]
+  },
+  heart: {
+    name: "Heart",
+    mask: [
+      ".xx...xx.",
+      "xxxx.xxxx",
+      "x..xxx..x",
+      "x...x...x",
+      "xx.....xx",
+      ".xx...xx.",
+      "..xx.xx..",
+      "...xxx...",
+      "....x...."
+    ]
+  },
+  diamond: {
+    name: "Diamond",
+    mask: [
+      "....x....",
+      "...xxx...",
+      "..xx.xx..",
+      ".xx...xx.",
+      "xx..x..xx",
+      ".xx...xx.",
+      "..xx.xx..",
+      "...xxx...",
+      "....x...."
+    ]
+  },
+  cross: {
+    name: "Cross",
+    mask: [
+      "x.......x",
+      "xx.....xx",
+      ".xx...xx.",
+      "..xx.xx..",
+      "...xxx...",
+      "..xx.xx..",
+      ".xx...xx.",
+      "xx.....xx",
+      "x.......x"
+    ]
+  },
+  ring: {
+    name: "Ring",
+    mask: [
+      "...xxx...",
+      ".xx...xx.",
+      ".x.....x.",
+      "x...x...x",
+      "x..xxx..x",
+      "x...x...x",
+      ".x.....x.",
+      ".xx...xx.",
+      "...xxx..."
+    ]
+  }
+};
+const PATTERN_KEYS = Object.keys(CLUE_PATTERNS);
+
+// The mask of a pattern on a board size, as a board of 1s and 0s, or
+// null for a symmetry
+function patternMask(pattern, size) {
+  if (Array.isArray(pattern)) return pattern;
+  const mask = CLUE_PATTERNS[pattern].mask;
+  return mask ? mask.map((line) => Array.from(line, (ch) => (ch === "x" ? 1 : 0))) : null;
+}
+
+// An error message if a pattern isn't known or doesn't fit the board
+// size, otherwise null
+function patternProblem(size, pattern) {
+  if (Array.isArray(pattern)) {
+    const fits = pattern.length === size && pattern.every((row) => Array.isArray(row) && row.length === size);
+    return fits ? null : `A clue mask for a ${size}x${size} board needs ${size} rows of ${size} cells.`;
+  }
+  const known = CLUE_PATTERNS[pattern];
+  if (!known) return `Unknown clue pattern: ${pattern}`;
+  if (known.mask && known.mask.length !== size) {
+    return `The ${known.name} pattern isn't available on ${size}x${size} boards.`;
+  }
+  return null;
+}
+
+// The groups of cells, [{ r, c }, ...], to try taking out in turn, in
+// random order
+function removalGroups(size, random = Math.random, pattern = "none") {
   const coords = [];
-  for (let r = 0; r < ROWS; r++) {
-    for (let c = 0; c < COLS; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       coords.push({ r, c });
     }
   }
+  const shuffled = shuffleArray(coords, random);
+
+  const mask = patternMask(pattern, size);
+  if (mask) {
+    return shuffled.filter(({ r, c }) => !mask[r][c]).map((coord) => [coord]);
+  }
+
+  const grouped = new Set();
+  const groups = [];
+  shuffled.forEach(({ r, c }) => {
+    if (grouped.has(r * size + c)) return;
+    const group = [];
+    CLUE_PATTERNS[pattern].cells(size, r, c).forEach(([row, col]) => {
+      if (grouped.has(row * size + col)) return;
+      grouped.add(row * size + col);
+      group.push({ r: row, c: col });
+    });
+    groups.push(group);
+  });
+  return groups;
+}
+
+/* =========================
+   Remove cells while keeping uniqueness
+   ========================= */
+
+// Digits a uniqueness check on a variant puzzle may place before the
+// removal counts as unsafe. With killer cages and next to no givens a
+// check can otherwise take seconds.
+const VARIANT_CHECK_NODES = 3000;
+
+// Remove up to `blanksTarget` cells, ensuring the puzzle has a unique solution
+// under its `rules`. If uniqueness would be broken, we undo that removal.
+// Cells go in the groups of the clue `pattern` (see CLUE_PATTERNS), and
+// a group that would take the blanks past the target is skipped.
+function removeCellsWithUniqueness(puzzle, blanksTarget, random = Math.random, rules = [], pattern = "none") {
+  const maxNodes = rules.length > 0 ? VARIANT_CHECK_NODES : Infinity;
 
   // Randomize order in which we try removing
-  const shuffled = shuffleArray(coords);
+  const groups = removalGroups(puzzle.length, random, pattern);
   let blanks = 0;
 
-  for (let i = 0; i < shuffled.length && blanks < blanksTarget; i++) {
-    const { r, c } = shuffled[i];
-    if (puzzle[r][c] === 0) continue;
+  for (let i = 0; i < groups.length && blanks < blanksTarget; i++) {
+    const group = groups[i].filter(({ r, c }) => puzzle[r][c] !== 0);
+    if (group.length === 0 || blanks + group.length > blanksTarget) continue;
 
-    const backup = puzzle[r][c];
-    puzzle[r][c] = 0;
+    const backup = group.map(({ r, c }) => puzzle[r][c]);
+    group.forEach(({ r, c }) => {
+      puzzle[r][c] = 0;
+    });
 
-    const testBoard = cloneBoard(puzzle);
-    const numSolutions = countSolutions(testBoard, 2);
+    const numSolutions = countSolutions(puzzle, 2, rules, maxNodes);
 
-    // If not exactly one solution, revert
+    // If not exactly one solution (or not sure), revert
     if (numSolutions !== 1) {
-      puzzle[r][c] = backup;
+      group.forEach(({ r, c }, j) => {
+        puzzle[r][c] = backup[j];
+      });
     } else {
-      blanks += 1;
+      blanks += group.length;
     }
   }
 }
@@ -198,30 +1744,277 @@ function removeCellsWithUniqueness(puzzle, blanksTarget) {
    Main API
    ========================= */
 
-// difficulty: "e", "m", or "h"
-function generatePuzzle(difficulty) {
-  // 1) Generate a fully solved board
-  const solution = generateFullSolution();
+// Most blanks each tier may have on a 9x9 board, so easier puzzles keep
+// plenty of givens. Other sizes scale this by their number of cells.
+const MAX_BLANKS = { e: 45, m: 64, h: 64, x: 64, d: 64 };
+
+// The big boards are capped lower: checking uniqueness slows down
+// sharply once more than about this share of their cells is blank
+const BLANK_CAPS = { 12: 0.66, 16: 0.54 };
+
+// Killer cages carry clues of their own, so past easy those puzzles may
+// lose every given
+function maxBlanks(difficulty, size, rules = []) {
+  const cells = size * size;
+  if (difficulty !== "e" && rules.some((rule) => ruleKey(rule) === "killer")) return cells;
+  const blanks = Math.round((MAX_BLANKS[difficulty] * cells) / 81);
+  return BLANK_CAPS[size] ? Math.min(blanks, Math.round(BLANK_CAPS[size] * cells)) : blanks;
+}
+
+// Candidate puzzles to try before settling for the closest grade. On 9x9
+// each one takes a few milliseconds and the rarer tiers need a few dozen;
+// the big boards are much slower per try, so they settle sooner.
+const GENERATION_ATTEMPTS = { 4: 300, 6: 300, 9: 300, 12: 12, 16: 6 };
+
+// Variant puzzles keep more cells blank and each uniqueness check digs
+// deeper, so they get fewer tries, and their solved grids (slow to find
+// for rules like non-consecutive) are each reused for several tries
+const VARIANT_ATTEMPTS = 24;
+const VARIANT_TRIES_PER_GRID = 4;
+
+// difficulty: "e", "m", "h", "x" (expert) or "d" (diabolical).
+// The tier is decided by the hardest technique the puzzle needs, not by
+// how many cells are blank; see gradePuzzle.
+// The same seed, difficulty and options always give the same puzzle;
+// without a seed a random one is picked. It is returned as `seed` for
+// sharing. onProgress(attempt, maxAttempts) is called before each
+// candidate puzzle. Options:
+//   size   board size from BOARD_SIZES, 9 by default
+//   rules  variant rules from VARIANT_RULES, none by default; jigsaw
+//          and killer given by key get regions and cages made up, and
+//          the returned `rules` carry them
+//   pattern  how the givens are laid out: a CLUE_PATTERNS key ("none"
+//            by default) or a mask board of 1s where givens should stay
+//   minimal  only return a puzzle none of whose givens can be taken out
+//   minClues, maxClues  only return a puzzle with this many givens
+// Candidates that miss the last three are thrown away, and if none of
+// them meets them an error says so. Besides the puzzle, its solution
+// and grade, the result tells how many `clues` (givens) it has and how
+// many milliseconds it took (`generationTime`). `minimal` is true only
+// when the option asked for it and every given was shown to be needed;
+// otherwise it is null, unchecked or (on variant puzzles) unknown.
+function generatePuzzle(difficulty, seed, onProgress, options = {}) {
+  const startedAt = Date.now();
+  const target = DIFFICULTIES.includes(difficulty) ? difficulty : "e"; // easy by default
+  const size = BOX_SHAPES[options.size] ? options.size : 9;
+  const rules = normalizeRules(options.rules);
+  const pattern = options.pattern || "none";
+  const minimal = Boolean(options.minimal);
+  const cellCount = size * size;
+  const minClues = options.minClues === undefined ? 0 : options.minClues;
+  const maxClues = options.maxClues === undefined ? cellCount : options.maxClues;
+  const problem = rulesProblem(size, rules) || patternProblem(size, pattern) || cluesProblem(size, minClues, maxClues);
+  if (problem) {
+    throw new Error(problem);
+  }
+  // A picture, a minimal puzzle or a clue count takes out every cell it
+  // can down to the fewest givens allowed; otherwise the tier sets the most
+  const exhaustive = Boolean(patternMask(pattern, size)) || minimal ||
+    options.minClues !== undefined || options.maxClues !== undefined;
+  const blanksTarget = exhaustive ? cellCount - minClues : maxBlanks(target, size, rules);
+  const puzzleSeed = seed === undefined || seed === null || seed === "" ? randomSeed() : String(seed);
+  const random = createRandom(puzzleSeed);
+  const attempts = rules.length > 0 ? Math.min(VARIANT_ATTEMPTS, GENERATION_ATTEMPTS[size]) : GENERATION_ATTEMPTS[size];
+  const triesPerGrid = rules.length > 0 ? VARIANT_TRIES_PER_GRID : 1;
+  let best = null;
+  let solution = null;
+  let gridRules = rules;
+
+  // What a caller learns about the puzzle besides its grade
+  function finish(candidate) {
+    return Object.assign(candidate, {
+      clues: countClues(candidate.puzzle),
+      minimal: candidate.minimal === undefined ? null : candidate.minimal,
+      generationTime: Date.now() - startedAt
+    });
+  }
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (onProgress) onProgress(attempt + 1, attempts);
+
+    // 1) Generate a fully solved board, with new jigsaw regions if needed
+    if (attempt % triesPerGrid === 0) {
+      ({ gridRules, solution } = generateLayout(rules, size, random));
+    }
+
+    // 2) Clone it for the puzzle and draw any killer cages over it
+    const puzzle = cloneBoard(solution);
+    const puzzleRules = layoutCages(gridRules, solution, random);
 
-  // 2) Clone it for the puzzle
-  const puzzle = cloneBoard(solution);
+    // 3) Remove cells but keep a unique solution, and drop the puzzle if
+    //    that left too many givens or it had to be minimal and a given
+    //    turned out to be spare
+    removeCellsWithUniqueness(puzzle, blanksTarget, random, puzzleRules, pattern);
+    if (countClues(puzzle) > maxClues) continue;
+    const puzzleMinimal = minimal ? isMinimal(puzzle, puzzleRules) : null;
+    if (puzzleMinimal === false) continue;
 
-  // 3) Decide how many blanks to aim for
-  let blanks;
-  if (difficulty === "h") {
-    blanks = 50;
-  } else if (difficulty === "m") {
-    blanks = 40;
-  } else {
-    blanks = 30; // easy by default
+    // 4) Keep it if the hardest technique needed lands on the target tier,
+    //    otherwise remember the closest one so far and try again
+    const grade = gradePuzzle(puzzle, puzzleRules);
+    const candidate = { puzzle, solution, grade, seed: puzzleSeed, difficulty: target, size, rules: puzzleRules, pattern };
+    if (minimal) candidate.minimal = puzzleMinimal;
+    if (grade.difficulty === target) {
+      return finish(candidate);
+    }
+    const distance = Math.abs(DIFFICULTIES.indexOf(grade.difficulty) - DIFFICULTIES.indexOf(target));
+    if (!best || distance < best.distance) {
+      best = { candidate, distance };
+    }
   }
 
-  // 4) Remove cells but keep a unique solution
-  removeCellsWithUniqueness(puzzle, blanks);
+  if (!best) {
+    const wanted = [];
+    if (options.minClues !== undefined || options.maxClues !== undefined) wanted.push(`${minClues}–${maxClues} givens`);
+    if (minimal) wanted.push("no given to spare");
+    throw new Error(`None of ${attempts} tries gave a puzzle with ${wanted.join(" and ")}.`);
+  }
 
   // 5) Return both puzzle and full solution to script.js
+  return finish(best.candidate);
+}
+
+// An error message if a clue count range can't be met on a board size,
+// otherwise null
+function cluesProblem(size, minClues, maxClues) {
+  const cellCount = size * size;
+  const valid = (n) => Number.isInteger(n) && n >= 0 && n <= cellCount;
+  if (!valid(minClues) || !valid(maxClues)) {
+    return `Clue counts on a ${size}x${size} board run from 0 to ${cellCount}.`;
+  }
+  if (minClues > maxClues) {
+    return `The fewest givens (${minClues}) can't be more than the most (${maxClues}).`;
+  }
+  return null;
+}
+
+function countClues(puzzle) {
+  let clues = 0;
+  puzzle.forEach((row) => row.forEach((value) => {
+    if (value !== 0) clues += 1;
+  }));
+  return clues;
+}
+
+// Whether no given can be taken out without losing the unique solution:
+// true, false, or null if that is unknown. Variant puzzles get the budget
+// the generator's checks get, and a check that runs out of it leaves its
+// given undecided.
+function isMinimal(puzzle, rules = []) {
+  const maxNodes = rules.length > 0 ? VARIANT_CHECK_NODES : Infinity;
+  const board = cloneBoard(puzzle);
+  let undecided = false;
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      if (board[r][c] === 0) continue;
+      const given = board[r][c];
+      board[r][c] = 0;
+      const solutions = countSolutions(board, 2, rules, maxNodes);
+      board[r][c] = given;
+      if (solutions === 1) return false;
+      if (solutions < 0) undecided = true;
+    }
+  }
+  return undecided ? null : true;
+}
+
+// Digits preparePuzzle may place while checking a puzzle before it gives
+// up. A big board with a handful of givens could otherwise take minutes.
+const PREPARE_CHECK_NODES = 2000000;
+
+// Check a puzzle that came from elsewhere (e.g. an import) under the
+// variant `rules` it is played with and fill in its solution and grade.
+// Returns { puzzle, solution, grade, seed: null, difficulty, size, rules }
+// like generatePuzzle, or { error } with a message when it has no
+// solution, more than one, or can't be checked within `maxNodes` placed
+// digits. Rules that need data (see ruleReady) must come with it, since
+// a plain grid has no regions or cages.
+function preparePuzzle(board, rules = [], maxNodes = PREPARE_CHECK_NODES) {
+  if (!BOX_SHAPES[board.length]) {
+    return { error: `A ${board.length}x${board.length} board isn't a size this game plays.` };
+  }
+  const puzzleRules = normalizeRules(rules);
+  const problem = rulesProblem(board.length, puzzleRules);
+  if (problem) {
+    return { error: problem };
+  }
+  const unready = puzzleRules.find((rule) => !ruleReady(rule));
+  if (unready) {
+    return { error: `${VARIANT_RULES[ruleKey(unready)].name} puzzles can't be set up from a plain grid.` };
+  }
+
+  const puzzle = cloneBoard(board);
+  const solutions = findSolutions(puzzle, 2, puzzleRules, maxNodes);
+
+  if (!solutions) {
+    return { error: "Couldn't check this puzzle in time; it may need more givens." };
+  }
+  if (solutions.length === 0) {
+    return { error: "This puzzle has no solution." };
+  }
+  if (solutions.length > 1) {
+    return { error: "This puzzle has more than one solution." };
+  }
+
+  const solution = solutions[0];
+  const grade = gradePuzzle(puzzle, puzzleRules);
+
   return {
     puzzle,
-    solution
+    solution,
+    grade,
+    seed: null,
+    difficulty: grade.difficulty,
+    size: puzzle.length,
+    rules: puzzleRules
+  };
+}
+
+/* =========================
+   Module exports
+   ========================= */
+
+// The API for Node and bundlers. Boards are arrays of rows with 0 for a
+// blank; `rules` and `pattern` are as for generatePuzzle.
+//   generate  generatePuzzle(difficulty, seed, onProgress, options)
+//   solve     solveBoard(board) fills a board in place; solveLogically
+//             gives the human-style steps, findNextStep just the next one
+//   count     countSolutions(board, limit) and findSolutions(board, limit)
+//   validate  isSafe(board, row, col, digit), findClashes(board),
+//             preparePuzzle(board) for a whole puzzle, isMinimal(puzzle)
+//   grade     gradePuzzle(board), or gradeTrace(trace) for a solveLogically trace
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BOX_SHAPES,
+    BOARD_SIZES,
+    DIGIT_SYMBOLS,
+    VARIANT_RULES,
+    VARIANT_KEYS,
+    CLUE_PATTERNS,
+    PATTERN_KEYS,
+    DIFFICULTIES,
+    digitSymbol,
+    symbolDigit,
+    createBlankBoard,
+    cloneBoard,
+    rulesProblem,
+    generatePuzzle,
+    generateFullSolution,
+    removeCellsWithUniqueness,
+    solveBoard,
+    solveLogically,
+    findNextStep,
+    countSolutions,
+    findSolutions,
+    isSafe,
+    findClashes,
+    preparePuzzle,
+    isMinimal,
+    countClues,
+    gradePuzzle,
+    gradeTrace,
+    createRandom,
+    randomSeed,
+    shuffleArray
   };
 }
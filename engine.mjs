@@ -0,0 +1,41 @@
+// engine.mjs
+// ES module entry point for engine.js, for Node and bundlers:
+//   import { generatePuzzle, countSolutions } from "./engine.mjs";
+
+import engine from "./engine.js";
+
+export const {
+  BOX_SHAPES,
+  BOARD_SIZES,
+  DIGIT_SYMBOLS,
+  VARIANT_RULES,
+  VARIANT_KEYS,
+  CLUE_PATTERNS,
+  PATTERN_KEYS,
+  DIFFICULTIES,
+  digitSymbol,
+  symbolDigit,
+  createBlankBoard,
+  cloneBoard,
+  rulesProblem,
+  generatePuzzle,
+  generateFullSolution,
+  removeCellsWithUniqueness,
+  solveBoard,
+  solveLogically,
+  findNextStep,
+  countSolutions,
+  findSolutions,
+  isSafe,
+  findClashes,
+  preparePuzzle,
+  isMinimal,
+  countClues,
+  gradePuzzle,
+  gradeTrace,
+  createRandom,
+  randomSeed,
+  shuffleArray
+} = engine;
+
+export default engine;
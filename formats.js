@@ -0,0 +1,173 @@
+// formats.js
+// Reading and writing puzzles in the common Sudoku text formats:
+//   81-character lines  one puzzle per line, "." or "0" for blanks
+//   .sdk                a 9x9 grid of 9 lines, "#" lines are comments
+//   .sdm                many 81-character lines, one puzzle each
+//   printed grid        rows of cells with spaces, pipes and +---+ lines
+//                       between them, as in a newspaper
+// Other board sizes work the same way with size x size characters, using
+// the symbols from engine.js (1-9 then A-G).
+
+const PUZZLE_FORMATS = {
+  line: { label: "81-character line", extension: "txt" },
+  sdk: { label: ".sdk grid", extension: "sdk" },
+  sdm: { label: ".sdm collection", extension: "sdm" },
+  grid: { label: "Printed grid", extension: "txt" }
+};
+
+// A loose grid may mark a blank with any of these, and draw lines
+// between cells and boxes with the others
+const BLANK_SYMBOLS = ".0_*?";
+const GRID_LINE_SYMBOLS = "|+-=:,;";
+
+// The board size a run of `length` cells makes, or 0 if none
+function sizeForCells(length) {
+  return BOARD_SIZES.find((size) => size * size === length) || 0;
+}
+
+// True if every character is a blank or a symbol that fits a board of `size`
+function cellsFit(cells, size) {
+  return Array.from(cells).every((ch) => ch === "." || ch === "0" || (symbolDigit(ch) > 0 && symbolDigit(ch) <= size));
+}
+
+function cellsToBoard(cells, size = 9) {
+  const board = [];
+  for (let r = 0; r < size; r++) {
+    const row = [];
+    for (let c = 0; c < size; c++) {
+      row.push(symbolDigit(cells[r * size + c]));
+    }
+    board.push(row);
+  }
+  return board;
+}
+
+// Parse every puzzle in `text`. Returns a list of boards (0 = blank)
+// and throws an Error with a readable message if the text fits no format.
+function parsePuzzles(text) {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"));
+
+  if (lines.length === 0) {
+    throw new Error("There is no puzzle to read.");
+  }
+
+  // .sdk grids: as many lines as cells per line, one grid per puzzle.
+  // Checked first, since 16 lines of 16 would also read as 4x4 puzzles.
+  const gridSize = lines[0].length;
+  if (
+    BOX_SHAPES[gridSize] &&
+    lines.length % gridSize === 0 &&
+    lines.every((line) => line.length === gridSize && cellsFit(line, gridSize))
+  ) {
+    const boards = [];
+    for (let i = 0; i < lines.length; i += gridSize) {
+      boards.push(cellsToBoard(lines.slice(i, i + gridSize).join(""), gridSize));
+    }
+    return boards;
+  }
+
+  // Whole puzzles on one line each (.sdm, or a single line). Anything
+  // after the cells and a space, such as a rating, is ignored.
+  const puzzleLines = lines.map((line) => {
+    const cells = line.split(/\s/)[0];
+    const size = sizeForCells(cells.length);
+    return size && cellsFit(cells, size) ? { cells, size } : null;
+  });
+  if (puzzleLines.every(Boolean)) {
+    return puzzleLines.map(({ cells, size }) => cellsToBoard(cells, size));
+  }
+
+  // Last of all, one grid drawn any other way
+  try {
+    return [parseGrid(text)];
+  } catch (err) {
+    throw new Error(
+      "Unrecognised puzzle format. Use 81-character lines or a 9x9 grid (or another board size), with . or 0 for blanks."
+    );
+  }
+}
+
+// Parse one puzzle laid out however it was pasted: rows of digits with
+// or without spaces, dots or zeros for blanks, pipes and ruled lines
+// between boxes, even all on one line. Only the cells count, so the
+// board size comes from how many there are. Throws an Error saying what
+// doesn't fit.
+function parseGrid(text) {
+  const cells = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (line.trim().startsWith("#")) return;
+      Array.from(line).forEach((ch) => {
+        if (/\s/.test(ch) || GRID_LINE_SYMBOLS.includes(ch)) return;
+        if (BLANK_SYMBOLS.includes(ch)) {
+          cells.push(0);
+        } else if (symbolDigit(ch) > 0) {
+          cells.push(symbolDigit(ch));
+        } else {
+          throw new Error(`Can't read "${ch}" on line ${i + 1}; use digits, and . or 0 for blanks.`);
+        }
+      });
+    });
+
+  if (cells.length === 0) {
+    throw new Error("There is no puzzle to read.");
+  }
+  const size = sizeForCells(cells.length);
+  if (!size) {
+    const counts = BOARD_SIZES.map((n) => n * n);
+    throw new Error(`Found ${cells.length} cells; a grid needs ${counts.slice(0, -1).join(", ")} or ${counts.pop()}.`);
+  }
+  const tooBig = cells.find((value) => value > size);
+  if (tooBig) {
+    throw new Error(`"${digitSymbol(tooBig)}" doesn't fit a ${size}x${size} grid.`);
+  }
+
+  const board = [];
+  for (let r = 0; r < size; r++) {
+    board.push(cells.slice(r * size, r * size + size));
+  }
+  return board;
+}
+
+function boardToLine(board) {
+  return board.map((row) => row.map((value) => (value === 0 ? "." : digitSymbol(value))).join("")).join("");
+}
+
+// A board drawn as a printed grid, with ruled lines around the boxes
+function boardToGrid(board) {
+  const size = board.length;
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  const rule = "+" + `${"-".repeat(boxCols * 2 + 1)}+`.repeat(size / boxCols);
+  const lines = [rule];
+  board.forEach((row, r) => {
+    let line = "|";
+    row.forEach((value, c) => {
+      line += ` ${value === 0 ? "." : digitSymbol(value)}`;
+      if ((c + 1) % boxCols === 0) line += " |";
+    });
+    lines.push(line);
+    if ((r + 1) % boxRows === 0) lines.push(rule);
+  });
+  return lines.join("\n") + "\n";
+}
+
+// Write one board in the given format ("line", "sdk", "sdm" or "grid")
+function formatPuzzle(board, format) {
+  if (format === "grid") {
+    return boardToGrid(board);
+  }
+  if (format === "sdk") {
+    const line = boardToLine(board);
+    const size = board.length;
+    const rows = [];
+    for (let r = 0; r < size; r++) {
+      rows.push(line.slice(r * size, r * size + size));
+    }
+    return rows.join("\n") + "\n";
+  }
+  return boardToLine(board) + "\n";
+}
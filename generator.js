@@ -0,0 +1,227 @@
+// generator.js
+// Promise-based access to the puzzle generator. Puzzles are made in Web
+// Workers (worker.js) so the page never freezes, and a couple of ready
+// puzzles per difficulty are kept so the next one appears instantly.
+// Where workers can't start (e.g. a page opened from file://) it falls
+// back to generating on the main thread, without the buffer.
+
+const PUZZLE_BUFFER_SIZE = 2;  // ready puzzles kept per difficulty
+
+let workersAvailable = typeof Worker !== "undefined";
+let foregroundWorker = null;   // makes puzzles the player is waiting for
+let backgroundWorker = null;   // refills the buffer
+let nextRequestId = 1;
+const pendingRequests = new Map(); // request id -> request
+const puzzleBuffer = {};           // buffer key -> ready results
+const bufferFills = {};            // buffer key -> buffer requests in flight
+
+// Buffers are kept per difficulty, board size, variant rules and clue
+// pattern (a custom mask by its cells)
+function bufferKey(difficulty, size, rules = [], pattern = "none") {
+  let key = size === 9 ? difficulty : `${size}:${difficulty}`;
+  if (rules.length > 0) key += `:${rules.join(",")}`;
+  if (pattern !== "none") key += `:${Array.isArray(pattern) ? pattern.flat().join("") : pattern}`;
+  return key;
+}
+
+function createGeneratorWorker() {
+  try {
+    const worker = new Worker("worker.js");
+    worker.addEventListener("message", handleWorkerMessage);
+    worker.addEventListener("error", handleWorkerFailure);
+    return worker;
+  } catch (err) {
+    return null;
+  }
+}
+
+function getWorker(background) {
+  if (!workersAvailable) return null;
+
+  if (background) {
+    if (!backgroundWorker) backgroundWorker = createGeneratorWorker();
+  } else if (!foregroundWorker) {
+    foregroundWorker = createGeneratorWorker();
+  }
+
+  const worker = background ? backgroundWorker : foregroundWorker;
+  if (!worker) workersAvailable = false;
+  return worker;
+}
+
+function createRequest(difficulty, seed, size, rules, pattern, background, onProgress) {
+  const request = {
+    id: nextRequestId++,
+    difficulty,
+    seed,
+    size,
+    rules,
+    pattern,
+    background,
+    onProgress,
+    worker: null,
+    settled: false
+  };
+  const promise = new Promise((resolve, reject) => {
+    request.resolve = (result) => {
+      request.settled = true;
+      resolve(result);
+    };
+    request.reject = (err) => {
+      request.settled = true;
+      reject(err);
+    };
+  });
+  return { request, promise };
+}
+
+function postRequest(request) {
+  const worker = getWorker(request.background);
+  if (!worker) {
+    runOnMainThread(request);
+    return;
+  }
+
+  request.worker = worker;
+  pendingRequests.set(request.id, request);
+  worker.postMessage({
+    id: request.id,
+    difficulty: request.difficulty,
+    seed: request.seed,
+    size: request.size,
+    rules: request.rules,
+    pattern: request.pattern
+  });
+}
+
+function runOnMainThread(request) {
+  // Buffering on the main thread would freeze the page it is meant to spare
+  if (request.background) {
+    request.reject(new Error("No worker to fill the puzzle buffer"));
+    return;
+  }
+
+  // Give the loading state a moment to paint before the page blocks
+  setTimeout(() => {
+    if (request.settled) return;
+    try {
+      request.resolve(generatePuzzle(request.difficulty, request.seed, request.onProgress, {
+        size: request.size,
+        rules: request.rules,
+        pattern: request.pattern
+      }));
+    } catch (err) {
+      request.reject(err);
+    }
+  }, 50);
+}
+
+function handleWorkerMessage(e) {
+  const { id, progress, result, error } = e.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  if (progress) {
+    if (request.onProgress) request.onProgress(progress.attempt, progress.maxAttempts);
+    return;
+  }
+
+  pendingRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
+  }
+}
+
+// A worker that fails to load or crashes takes the worker route down for
+// good; whatever it was working on is redone on the main thread
+function handleWorkerFailure(e) {
+  e.preventDefault();
+  workersAvailable = false;
+
+  [foregroundWorker, backgroundWorker].forEach((worker) => {
+    if (worker) worker.terminate();
+  });
+  foregroundWorker = null;
+  backgroundWorker = null;
+
+  const stranded = Array.from(pendingRequests.values());
+  pendingRequests.clear();
+  stranded.forEach(runOnMainThread);
+}
+
+function cancelRequest(request) {
+  if (request.settled) return;
+  pendingRequests.delete(request.id);
+
+  // A busy worker can't be interrupted, so replace it and hand the other
+  // requests it still had queued to the new one
+  const worker = request.worker;
+  if (worker) {
+    worker.terminate();
+    if (worker === foregroundWorker) foregroundWorker = null;
+    if (worker === backgroundWorker) backgroundWorker = null;
+
+    const orphans = Array.from(pendingRequests.values()).filter((other) => other.worker === worker);
+    orphans.forEach((other) => {
+      pendingRequests.delete(other.id);
+      postRequest(other);
+    });
+  }
+
+  const err = new Error("Puzzle request cancelled");
+  err.cancelled = true;
+  request.reject(err);
+}
+
+// Top the buffer for `difficulty` on `boardSize` boards with `rules` and
+// clue `pattern` up to `count` ready puzzles
+function fillPuzzleBuffer(difficulty, count = PUZZLE_BUFFER_SIZE, boardSize = 9, rules = [], pattern = "none") {
+  if (!workersAvailable) return;
+
+  const key = bufferKey(difficulty, boardSize, rules, pattern);
+  if (!puzzleBuffer[key]) puzzleBuffer[key] = [];
+  const buffer = puzzleBuffer[key];
+
+  while (buffer.length + (bufferFills[key] || 0) < count) {
+    bufferFills[key] = (bufferFills[key] || 0) + 1;
+
+    const { request, promise } = createRequest(difficulty, null, boardSize, rules, pattern, true, null);
+    promise
+      .then((result) => buffer.push(result), () => {})
+      .then(() => {
+        bufferFills[key] -= 1;
+      });
+    postRequest(request);
+  }
+}
+
+// Fill every 9x9 buffer one puzzle deep first, then to full size, so each
+// difficulty has something ready as early as possible. Other sizes are
+// buffered once someone plays them.
+function primePuzzleBuffers(difficulties) {
+  difficulties.forEach((difficulty) => fillPuzzleBuffer(difficulty, 1));
+  difficulties.forEach((difficulty) => fillPuzzleBuffer(difficulty));
+}
+
+// Ask for a puzzle of a board size (9 by default) with variant rules
+// (none by default) and a clue pattern (scattered by default),
+// optionally a specific seed of it. Returns { promise, cancel }: the
+// promise resolves with { puzzle, solution, grade, seed, size, rules,
+// pattern } and rejects with an error flagged `cancelled` once cancel()
+// is called. onProgress(attempt, maxAttempts) reports the generator's
+// progress.
+function requestPuzzle(difficulty, seed, onProgress, size = 9, rules = [], pattern = "none") {
+  const buffered = puzzleBuffer[bufferKey(difficulty, size, rules, pattern)];
+  if (!seed && buffered && buffered.length > 0) {
+    const result = buffered.shift();
+    fillPuzzleBuffer(difficulty, PUZZLE_BUFFER_SIZE, size, rules, pattern);
+    return { promise: Promise.resolve(result), cancel() {} };
+  }
+
+  const { request, promise } = createRequest(difficulty, seed, size, rules, pattern, false, onProgress);
+  postRequest(request);
+  fillPuzzleBuffer(difficulty, PUZZLE_BUFFER_SIZE, size, rules, pattern);
+  return { promise, cancel: () => cancelRequest(request) };
+}
@@ -1,531 +1,3205 @@
 let pencilMode = false;        // global toggle for pencil mode
-let helpMode = true;           // global toggle for red wrong cells
+let validationMode = "solution"; // how entries are checked, see VALIDATION_MODES
 let currentPuzzle = null;      // stores current puzzle grid
 let currentSolution = null;    // stores full solved grid for checks and hints
-let solvedAnimationActive = false; // prevent repeated solved animation
+let currentSeed = null;        // seed the current puzzle was generated from
+let currentDifficulty = null;  // difficulty the current puzzle was generated at
+let activeHint = null;         // hint step shown in the hint panel
+let knownEliminations = [];    // candidates ruled out by applied hints
+let autoNotesMode = false;     // keep candidate notes filled in automatically
+let pendingPuzzleRequest = null; // generator request the board is waiting for
+let currentGame = newGameRecord(); // time and counters for the puzzle being played
+let currentSize = 9;           // rows (and digits) of the board on screen
+let selectedSize = 9;          // board size new puzzles are generated at
+let currentRules = [];         // variant rules of the puzzle on screen, with any regions and cages
+let selectedRules = [];        // variant rule keys new puzzles are generated with
+let currentPattern = "none";   // clue pattern of the puzzle on screen (see CLUE_PATTERNS)
+let selectedPattern = "none";  // clue pattern new puzzles are generated with
 
 // =======================
 // Board fill / puzzles
 // =======================
 
-function fillBoard(puzzle) {
-  const rowDivs = document.querySelectorAll(".board .row");
+// Cell, font and note sizes per board size, so every board fits the page
+const BOARD_LAYOUTS = {
+  4: { cell: "64px", font: "34px", note: "14px" },
+  6: { cell: "64px", font: "34px", note: "13px" },
+  9: { cell: "55px", font: "30px", note: "11px" },
+  12: { cell: "44px", font: "24px", note: "8px" },
+  16: { cell: "36px", font: "20px", note: "7px" }
+};
+
+// Build the rows, cells and note layers for a board of `size` rows.
+// The thick box lines are drawn by markRegions, since jigsaw boxes
+// differ per puzzle.
+function buildBoard(size) {
+  const board = document.querySelector(".board");
+  if (!board) return;
 
-  if (rowDivs.length !== 9) {
-    console.error("Expected 9 rows but found", rowDivs.length);
-    return;
-  }
+  const grid = gridFor(size);
+  const layout = BOARD_LAYOUTS[size];
+  board.style.setProperty("--cell-size", layout.cell);
+  board.style.setProperty("--cell-font", layout.font);
+  board.style.setProperty("--note-font", layout.note);
+  board.innerHTML = "";
+
+  for (let row = 0; row < size; row++) {
+    const rowDiv = document.createElement("div");
+    rowDiv.className = "row";
+
+    for (let col = 0; col < size; col++) {
+      const wrapper = document.createElement("div");
+      wrapper.className = "cell-wrapper";
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.maxLength = 1;
+      input.dataset.row = row;
+      input.dataset.col = col;
+      wrapper.appendChild(input);
+
+      const corner = document.createElement("div");
+      corner.className = "corner-notes";
+      corner.style.gridTemplateColumns = `repeat(${grid.boxCols}, 1fr)`;
+      for (let d = 1; d <= size; d++) {
+        const note = document.createElement("span");
+        note.className = "pencil-note";
+        note.dataset.digit = digitSymbol(d);
+        note.textContent = digitSymbol(d);
+        corner.appendChild(note);
+      }
+      wrapper.appendChild(corner);
 
-  for (let row = 0; row < 9; row++) {
-    const inputs = rowDivs[row].querySelectorAll("input");
+      const centre = document.createElement("span");
+      centre.className = "centre-notes";
+      wrapper.appendChild(centre);
 
-    if (inputs.length !== 9) {
-      console.error(`Row ${row} expected 9 inputs but found`, inputs.length);
-      continue;
+      const colours = document.createElement("div");
+      colours.className = "colour-layer";
+      wrapper.appendChild(colours);
+
+      attachCellHandlers(input);
+      rowDiv.appendChild(wrapper);
     }
+    board.appendChild(rowDiv);
+  }
+  renderDigitPad(size);
+  renderKeyBindings();
+}
 
-    for (let col = 0; col < 9; col++) {
-      const value = puzzle[row][col];
-      const cell = inputs[col];
+function fillBoard(puzzle) {
+  const size = puzzle.length;
+  if (document.querySelectorAll(".board input").length !== size * size) {
+    buildBoard(size);
+  }
 
-      // coordinates for checking + hints
-      cell.dataset.row = row;
-      cell.dataset.col = col;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const value = puzzle[row][col];
+      const cell = getCell(row, col);
 
-      // reset any classes when loading a new puzzle
-      cell.classList.remove("highlight", "pencil", "given", "wrong", "hint");
+      // reset any classes and notes when loading a new puzzle
+      cell.classList.remove("selected", "peer", "same-digit", "given", "wrong", "hint", "conflict", "ambiguous", "editor-solution");
+      cell.dataset.corner = "";
+      cell.dataset.centre = "";
+      setColours(cell, []);
 
       if (value === 0) {
         cell.value = "";
         cell.readOnly = false;   // user can edit blanks
       } else {
-        cell.value = value;
+        cell.value = digitSymbol(value);
         cell.readOnly = true;    // given clues are locked
         cell.classList.add("given");
       }
+      renderNotes(cell);
     }
   }
+  markRegions();
+  updateShading();
 }
 
-function loadPuzzle(difficulty) {
-  try {
-    // clear solved state
-    solvedAnimationActive = false;
-    const board = document.querySelector(".board");
-    if (board) {
-      board.classList.remove("solved");
+// Cage edges, by the wrapper class that draws each one
+const CAGE_EDGES = { "cage-top": [-1, 0], "cage-bottom": [1, 0], "cage-left": [0, -1], "cage-right": [0, 1] };
+
+// Draw the regions of the puzzle on screen: thick lines between boxes
+// (irregular ones on jigsaw boards), killer cages outlined with their
+// sums, and the extra regions the variant rules add shaded: Windoku
+// windows and the two diagonals
+function markRegions() {
+  document.querySelectorAll(".board .cell-wrapper").forEach((wrapper) => {
+    wrapper.classList.remove("box-right", "box-bottom", "diagonal-down", "diagonal-up", ...Object.keys(CAGE_EDGES));
+    wrapper.querySelector("input").classList.remove("window");
+    const sum = wrapper.querySelector(".cage-sum");
+    if (sum) sum.remove();
+  });
+
+  const grid = gridFor(currentSize, currentRules);
+  const { size } = grid;
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    const wrapper = getCell(grid.cellRow[cell], grid.cellCol[cell]).parentElement;
+    if (grid.cellCol[cell] < size - 1 && grid.cellBox[cell + 1] !== grid.cellBox[cell]) {
+      wrapper.classList.add("box-right");
     }
-    const banner = document.getElementById("puzzle-solved-overlay");
-    if (banner) {
-      banner.style.display = "none";
+    if (grid.cellRow[cell] < size - 1 && grid.cellBox[cell + size] !== grid.cellBox[cell]) {
+      wrapper.classList.add("box-bottom");
     }
+  }
+
+  grid.cages.forEach((cage, index) => {
+    cage.cells.forEach((cell) => {
+      const row = grid.cellRow[cell];
+      const col = grid.cellCol[cell];
+      const wrapper = getCell(row, col).parentElement;
+      Object.entries(CAGE_EDGES).forEach(([edge, [dRow, dCol]]) => {
+        const r = row + dRow;
+        const c = col + dCol;
+        if (r < 0 || r >= size || c < 0 || c >= size || grid.cageOf[r * size + c] !== index) {
+          wrapper.classList.add(edge);
+        }
+      });
+    });
+
+    // The sum goes in the cage's top-left cell
+    const label = document.createElement("span");
+    label.className = "cage-sum";
+    label.textContent = cage.sum;
+    getCell(grid.cellRow[cage.cells[0]], grid.cellCol[cage.cells[0]]).parentElement.appendChild(label);
+  });
+
+  grid.variantUnits.forEach((unit) => {
+    unit.cells.forEach((cell) => {
+      const input = getCell(grid.cellRow[cell], grid.cellCol[cell]);
+      if (unit.type === "window") {
+        input.classList.add("window");
+      } else if (unit.type === "diagonal") {
+        input.parentElement.classList.add(unit.index === 0 ? "diagonal-down" : "diagonal-up");
+      }
+    });
+  });
+
+  const line = document.getElementById("variant-rules");
+  if (line) {
+    line.textContent = currentRules
+      .map((rule) => VARIANT_RULES[ruleKey(rule)])
+      .map((rule) => `${rule.name}: ${rule.description}`)
+      .join(" ");
+    line.hidden = currentRules.length === 0;
+  }
+}
+
+// Puzzles come from the generator workers (generator.js); while one is
+// on its way the board shows a loading state. Choosing again cancels the
+// request still in flight. Pass a seed to load that exact puzzle.
+function loadPuzzle(difficulty, seed, size = selectedSize, rules = selectedRules, pattern = selectedPattern) {
+  if (pendingPuzzleRequest) {
+    pendingPuzzleRequest.cancel();
+  }
 
-    // generatePuzzle returns { puzzle, solution } from engine.js
-    const result = generatePuzzle(difficulty);
+  setActiveDifficulty(difficulty, isDailySeed(seed, difficulty, size, rules, pattern));
+  setBoardLoading(true, difficulty);
+
+  const request = requestPuzzle(difficulty, seed, showLoadingProgress, size, rules, pattern);
+  pendingPuzzleRequest = request;
+
+  request.promise
+    .then((result) => {
+      if (pendingPuzzleRequest !== request) return;
+      pendingPuzzleRequest = null;
+      setBoardLoading(false, difficulty);
+      startPuzzle(result);
+    })
+    .catch((err) => {
+      if (err && err.cancelled) return;
+      if (pendingPuzzleRequest === request) {
+        pendingPuzzleRequest = null;
+        setBoardLoading(false, difficulty);
+        // e.g. a rule set no grid can satisfy; keep playing the old puzzle
+        alert(`Couldn't make that puzzle: ${err.message}`);
+        setSelectedSize(currentSize);
+        setSelectedRules(currentRules);
+        setSelectedPattern(currentPattern);
+      }
+      console.error("Failed to load puzzle:", err);
+    });
+}
+
+function startPuzzle(result) {
+  try {
+    // clear solved state
+    hidePuzzleSummary();
+    if (editorMode) closeEditor();
+
+    // result is { puzzle, solution, grade, seed, difficulty, size, rules }
+    // from engine.js
     const puzzle = result.puzzle;
     const solution = result.solution;
 
     currentPuzzle = puzzle;
     currentSolution = solution;
+    currentSeed = result.seed;
+    currentDifficulty = result.difficulty;
+    currentSize = puzzle.length;
+    currentRules = normalizeRules(result.rules);
+    currentPattern = result.pattern || "none";
+    setSelectedSize(currentSize);
+    setSelectedRules(currentRules);
+    setSelectedPattern(currentPattern);
+    showPuzzleId();
+    knownEliminations = [];
+    closeHint();
+    startGameRecord();
 
     fillBoard(puzzle);
-    setActiveDifficulty(difficulty);
+    checkConflicts();
+    if (autoNotesMode) fillAutoNotes();
+    resetHistory();
+    saveGame();
   } catch (err) {
     console.error("Failed to load puzzle:", err);
   }
 }
 
-function setActiveDifficulty(difficulty) {
+// =======================
+// Puzzle IDs / shareable links
+// =======================
+
+// A puzzle is identified by its difficulty and seed, e.g. "h-k3x9q1a",
+// and shared as a link like ?seed=k3x9q1a&d=h. Other board sizes add
+// the size: "16x16 h-k3x9q1a" and ?seed=k3x9q1a&d=h&n=16, and variant
+// rules their keys: "Diagonal h-k3x9q1a" and &v=diagonal. Jigsaw
+// regions and killer cages come from the seed, so the keys are enough.
+// A clue pattern adds its name and &g= (see patternParam).
+function puzzleLink() {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", currentSeed);
+  url.searchParams.set("d", currentDifficulty);
+  if (currentSize === 9) {
+    url.searchParams.delete("n");
+  } else {
+    url.searchParams.set("n", currentSize);
+  }
+  if (currentRules.length === 0) {
+    url.searchParams.delete("v");
+  } else {
+    url.searchParams.set("v", currentRules.map(ruleKey).join(","));
+  }
+  if (currentPattern === "none") {
+    url.searchParams.delete("g");
+  } else {
+    url.searchParams.set("g", patternParam(currentPattern));
+  }
+  return url.toString();
+}
+
+// A clue pattern as text: its key, or a custom mask as its 1s and 0s
+// row by row
+function patternParam(pattern) {
+  return Array.isArray(pattern) ? pattern.flat().join("") : pattern;
+}
+
+// The pattern a &g= value stands for on a board size, or "none"
+function patternFromParam(value, size) {
+  if (CLUE_PATTERNS[value]) return value;
+  if (value && value.length === size * size && /^[01]+$/.test(value)) {
+    const mask = [];
+    for (let r = 0; r < size; r++) {
+      mask.push(Array.from(value.slice(r * size, r * size + size), Number));
+    }
+    return mask;
+  }
+  return "none";
+}
+
+function showPuzzleId() {
+  const label = document.getElementById("puzzle-id");
+  if (label) {
+    if (isDailySeed(currentSeed, currentDifficulty, currentSize, currentRules, currentPattern)) {
+      label.textContent = `daily ${currentSeed}`;
+    } else {
+      const parts = currentRules.map((rule) => VARIANT_RULES[ruleKey(rule)].name);
+      if (currentSize !== 9) parts.unshift(`${currentSize}×${currentSize}`);
+      if (currentPattern !== "none") parts.push(patternName(currentPattern));
+      parts.push(currentSeed ? `${currentDifficulty}-${currentSeed}` : "imported");
+      label.textContent = parts.join(" ");
+    }
+  }
+
+  const copyBtn = document.getElementById("copy-link-btn");
+  if (copyBtn) {
+    copyBtn.hidden = !currentSeed;
+  }
+
+  // Keep the address bar pointing at this puzzle so it can be bookmarked;
+  // imported puzzles have no seed to put there
+  if (window.history && window.history.replaceState) {
+    let link = puzzleLink();
+    if (!currentSeed) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete("seed");
+      url.searchParams.delete("d");
+      url.searchParams.delete("n");
+      url.searchParams.delete("v");
+      url.searchParams.delete("g");
+      link = url.toString();
+    }
+    window.history.replaceState(null, "", link);
+  }
+}
+
+function copyPuzzleLink() {
+  if (!currentSeed) return;
+  const link = puzzleLink();
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(link).catch(() => {
+      window.prompt("Copy this link:", link);
+    });
+  } else {
+    window.prompt("Copy this link:", link);
+  }
+}
+
+// Read ?seed=…&d=…&n=…&v=…&g=… from the address bar, or null if there isn't one
+function puzzleFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const seed = params.get("seed");
+  if (!seed) return null;
+
+  const difficulty = params.get("d");
+  const size = Number(params.get("n"));
+  return {
+    seed,
+    difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : "m",
+    size: BOARD_SIZES.includes(size) ? size : 9,
+    rules: normalizeRules((params.get("v") || "").split(",")),
+    pattern: patternFromParam(params.get("g"), BOARD_SIZES.includes(size) ? size : 9)
+  };
+}
+
+function setBoardLoading(loading, difficulty) {
+  const board = document.querySelector(".board");
+  if (board) {
+    board.classList.toggle("loading", loading);
+  }
+
+  const overlay = document.getElementById("board-loading");
+  if (overlay) {
+    overlay.textContent = "Generating puzzle…";
+    overlay.hidden = !loading;
+  }
+
   const buttons = document.querySelectorAll(".difficulty-btn");
+  buttons.forEach((btn) => {
+    const isLoading = loading && btn.getAttribute("data-diff") === difficulty;
+    btn.classList.toggle("loading", isLoading);
+  });
+}
+
+function showLoadingProgress(attempt) {
+  const overlay = document.getElementById("board-loading");
+  if (overlay) {
+    overlay.textContent = `Generating puzzle… (try ${attempt})`;
+  }
+}
+
+// A daily puzzle lights up the Daily button instead of its difficulty
+function setActiveDifficulty(difficulty, daily = false) {
+  const buttons = document.querySelectorAll(".difficulty-btn[data-diff]");
   buttons.forEach((btn) => {
     const diff = btn.getAttribute("data-diff");
-    if (diff === difficulty) {
+    if (diff === difficulty && !daily) {
       btn.classList.add("active");
     } else {
       btn.classList.remove("active");
     }
   });
+
+  const dailyBtn = document.getElementById("daily-btn");
+  if (dailyBtn) {
+    dailyBtn.classList.toggle("active", daily);
+  }
+}
+
+// The size buttons show which board size new puzzles use. Rules and
+// clue patterns that don't fit the new size are dropped.
+function setSelectedSize(size) {
+  selectedSize = size;
+  document.querySelectorAll(".size-btn").forEach((btn) => {
+    btn.classList.toggle("active", Number(btn.dataset.size) === size);
+  });
+  setSelectedRules(selectedRules);
+  setSelectedPattern(selectedPattern);
+}
+
+// The rule checkboxes show which variant rules new puzzles use; rules
+// the selected board size can't take are unticked and disabled
+function setSelectedRules(rules) {
+  selectedRules = normalizeRules(rules).map(ruleKey).filter((key) => VARIANT_RULES[key].sizes.includes(selectedSize));
+  document.querySelectorAll(".rule-toggle").forEach((box) => {
+    const rule = VARIANT_RULES[box.value];
+    const available = Boolean(rule) && rule.sizes.includes(selectedSize);
+    box.checked = selectedRules.includes(box.value);
+    box.disabled = !available;
+    box.parentElement.classList.toggle("unavailable", !available);
+    if (rule) box.parentElement.title = available ? rule.description : `Not available on ${selectedSize}×${selectedSize} boards`;
+  });
+}
+
+// The pattern picker shows how new puzzles lay out their givens; a
+// pattern the selected board size can't take falls back to scattered
+function setSelectedPattern(pattern) {
+  selectedPattern = patternProblem(selectedSize, pattern) ? "none" : pattern;
+  const select = document.getElementById("pattern-select");
+  if (!select) return;
+  Array.from(select.options).forEach((option) => {
+    option.disabled = option.value !== "custom" && Boolean(patternProblem(selectedSize, option.value));
+  });
+  select.value = Array.isArray(selectedPattern) ? "custom" : selectedPattern;
+}
+
+// After a new size, rule set or clue pattern is picked: a puzzle at the
+// difficulty being played, or a blank grid while the editor is open
+function startSelectedPuzzle() {
+  if (editorMode) {
+    openEditor();
+  } else {
+    loadPuzzle(currentDifficulty || "m");
+  }
+}
+
+function patternName(pattern) {
+  return Array.isArray(pattern) ? "Custom pattern" : CLUE_PATTERNS[pattern].name;
+}
+
+// Last custom pattern typed in, offered again next time
+const CUSTOM_PATTERN_KEY = "sudokuByNoah.customPattern";
+
+// Ask for a custom clue pattern for the selected board size: a row of
+// x (given) or . (blank) per board row. Returns the mask, or null if the
+// player cancels or it doesn't fit.
+function askCustomPattern() {
+  const size = selectedSize;
+  let last = "";
+  try {
+    last = localStorage.getItem(CUSTOM_PATTERN_KEY) || "";
+  } catch (err) {
+    last = "";
+  }
+
+  const text = window.prompt(
+    `Draw the givens as ${size} rows of ${size}: x for a given, . for a blank, rows split by spaces.`,
+    last
+  );
+  if (text === null) return null;
+
+  const cells = text.replace(/[^xX#1.0-]/g, "");
+  if (cells.length !== size * size) {
+    alert(`That pattern has ${cells.length} cells; a ${size}×${size} board needs ${size * size}.`);
+    return null;
+  }
+  const mask = [];
+  for (let r = 0; r < size; r++) {
+    mask.push(Array.from(cells.slice(r * size, r * size + size), (ch) => ("xX#1".includes(ch) ? 1 : 0)));
+  }
+  try {
+    localStorage.setItem(CUSTOM_PATTERN_KEY, mask.map((row) => row.map((bit) => (bit ? "x" : ".")).join("")).join(" "));
+  } catch (err) {
+    console.error("Failed to save custom pattern:", err);
+  }
+  return mask;
 }
 
 // =======================
-// Movement / navigation
+// Import / export
 // =======================
 
-function moveFocusFromCell(currentInput, dRow, dCol) {
-  const rowDivs = document.querySelectorAll(".board .row");
-  if (rowDivs.length !== 9) return null;
-
-  let currentRowIndex = -1;
-  let currentColIndex = -1;
-
-  // Find current cell's row and column
-  for (let r = 0; r < 9; r++) {
-    const inputs = rowDivs[r].querySelectorAll("input");
-    for (let c = 0; c < inputs.length; c++) {
-      if (inputs[c] === currentInput) {
-        currentRowIndex = r;
-        currentColIndex = c;
-        break;
-      }
+// The board as the player has it: givens, hints and answers, no notes
+function readProgress() {
+  const board = createBlankBoard(currentSize);
+  document.querySelectorAll(".board input").forEach((cell) => {
+    const value = symbolDigit(cell.value.trim());
+    if (value >= 1 && value <= currentSize) {
+      board[Number(cell.dataset.row)][Number(cell.dataset.col)] = value;
+    }
+  });
+  return board;
+}
+
+function setImportMessage(text, isError) {
+  const message = document.getElementById("io-message");
+  if (message) {
+    message.textContent = text;
+    message.classList.toggle("error", Boolean(isError));
+  }
+}
+
+function exportText() {
+  if (!currentPuzzle) return "";
+  const what = document.getElementById("io-what").value;
+  const format = document.getElementById("io-format").value;
+
+  let board = currentPuzzle;
+  if (what === "progress") {
+    board = readProgress();
+  } else if (what === "solution") {
+    board = currentSolution;
+  }
+  return formatPuzzle(board, format);
+}
+
+function showExport() {
+  document.getElementById("io-text").value = exportText();
+  setImportMessage("", false);
+}
+
+function copyExport() {
+  const text = exportText();
+  document.getElementById("io-text").value = text;
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).then(
+      () => setImportMessage("Copied to the clipboard.", false),
+      () => setImportMessage("Couldn't copy; select the text above instead.", true)
+    );
+  } else {
+    setImportMessage("Select the text above and copy it.", false);
+  }
+}
+
+function downloadExport() {
+  const what = document.getElementById("io-what").value;
+  const format = document.getElementById("io-format").value;
+  const id = currentSeed ? `${currentDifficulty}-${currentSeed}` : "imported";
+
+  const blob = new Blob([exportText()], { type: "text/plain" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `sudoku-${id}-${what}.${PUZZLE_FORMATS[format].extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+// Load the puzzle from the import box. Collections (.sdm) fill the
+// picker so any puzzle in the file can be chosen.
+function importPuzzle() {
+  const text = document.getElementById("io-text").value;
+  const picker = document.getElementById("io-pick");
+
+  let boards;
+  try {
+    boards = parsePuzzles(text);
+  } catch (err) {
+    setImportMessage(err.message, true);
+    return;
+  }
+
+  if (picker.options.length !== boards.length) {
+    picker.innerHTML = "";
+    boards.forEach((board, i) => {
+      const option = document.createElement("option");
+      option.value = String(i);
+      option.textContent = `Puzzle ${i + 1} of ${boards.length}`;
+      picker.appendChild(option);
+    });
+  }
+  picker.hidden = boards.length < 2;
+
+  // Imports are played with the rules ticked below the board
+  const index = Number(picker.value) || 0;
+  const result = preparePuzzle(boards[index], selectedRules);
+  if (result.error) {
+    setImportMessage(result.error, true);
+    return;
+  }
+
+  // An import replaces any puzzle that is still being generated
+  if (pendingPuzzleRequest) {
+    pendingPuzzleRequest.cancel();
+    pendingPuzzleRequest = null;
+    setBoardLoading(false, null);
+  }
+
+  startPuzzle(result);
+  setActiveDifficulty(result.difficulty);
+  setImportMessage(`Loaded puzzle ${index + 1}; it grades as ${result.difficulty}.`, false);
+}
+
+function importFile(file) {
+  if (!file) return;
+  file.text().then((text) => {
+    document.getElementById("io-text").value = text;
+    document.getElementById("io-pick").innerHTML = "";
+    importPuzzle();
+  });
+}
+
+function setupImportExport() {
+  const panel = document.getElementById("io-panel");
+  const toggleBtn = document.getElementById("io-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+  });
+
+  document.getElementById("io-export-btn").addEventListener("click", showExport);
+  document.getElementById("io-copy-btn").addEventListener("click", copyExport);
+  document.getElementById("io-download-btn").addEventListener("click", downloadExport);
+  document.getElementById("io-import-btn").addEventListener("click", importPuzzle);
+  document.getElementById("io-pick").addEventListener("change", importPuzzle);
+  document.getElementById("io-file").addEventListener("change", (e) => {
+    importFile(e.target.files[0]);
+    e.target.value = "";
+  });
+
+  // New text means a new collection, so forget the old picker entries
+  document.getElementById("io-text").addEventListener("input", () => {
+    document.getElementById("io-pick").innerHTML = "";
+  });
+}
+
+// =======================
+// Puzzle editor
+// =======================
+
+// While the editor is open the board is a blank grid of the selected size
+// where any cell takes a given. Each change recounts the solutions (up to
+// two) under the ticked rules that need no data of their own; with two,
+// the cells where they differ are marked. The game underneath is saved
+// first and comes back on Cancel.
+let editorMode = false;
+
+// Digits a live check may place before it gives up; a nearly empty grid
+// with no solution could otherwise keep the page busy
+const EDITOR_CHECK_NODES = 200000;
+
+// The ticked rules a plain grid can take: all but those that need data
+function plainRules() {
+  return selectedRules.filter((key) => !VARIANT_RULES[key].data);
+}
+
+// The givens typed so far, leaving out a solution shown by Solve
+function readEditorGivens() {
+  const board = createBlankBoard(currentSize);
+  document.querySelectorAll(".board input.given").forEach((cell) => {
+    board[Number(cell.dataset.row)][Number(cell.dataset.col)] = symbolDigit(cell.value);
+  });
+  return board;
+}
+
+function setEditorMessage(text, isError) {
+  const message = document.getElementById("editor-message");
+  if (message) {
+    message.textContent = text;
+    message.classList.toggle("error", Boolean(isError));
+  }
+}
+
+function openEditor() {
+  if (pendingPuzzleRequest) {
+    pendingPuzzleRequest.cancel();
+    pendingPuzzleRequest = null;
+    setBoardLoading(false, null);
+  }
+  pauseTimer();
+  saveGame();
+  closeHint();
+  hidePuzzleSummary();
+
+  editorMode = true;
+  document.body.classList.add("editing");
+  document.getElementById("editor-panel").hidden = false;
+  document.getElementById("editor-btn").classList.add("active");
+
+  currentPuzzle = null;
+  currentSolution = null;
+  currentSeed = null;
+  currentSize = selectedSize;
+  currentRules = plainRules();
+  currentPattern = "none";
+  fillBoard(createBlankBoard(currentSize));
+  setActiveDifficulty(null);
+  const label = document.getElementById("puzzle-id");
+  if (label) label.textContent = "new puzzle";
+  setEditorMessage("", false);
+  updateEditorStatus();
+}
+
+// Leave the editor; startPuzzle does this for whatever puzzle comes next
+function closeEditor() {
+  editorMode = false;
+  document.body.classList.remove("editing");
+  document.getElementById("editor-panel").hidden = true;
+  document.getElementById("editor-btn").classList.remove("active");
+}
+
+function cancelEditor() {
+  closeEditor();
+  const saved = loadSavedGame();
+  if (saved) {
+    currentGame = newGameRecord(); // the saved game brings its own record
+    restoreGame(saved);
+  } else {
+    loadPuzzle(currentDifficulty || "m");
+  }
+}
+
+// Type a given (or clear one); any change hides a solution on show
+function setEditorCell(input, symbol) {
+  document.querySelectorAll(".board input.editor-solution").forEach((cell) => {
+    cell.value = "";
+    cell.classList.remove("editor-solution");
+  });
+  input.value = symbol;
+  input.classList.toggle("given", symbol !== "");
+  updateEditorStatus();
+  updateShading();
+}
+
+function handleEditorKeydown(input, e) {
+  if ((e.ctrlKey || e.metaKey) && digitFromKey(e)) return;
+  const action = keyAction(e);
+  if (MOVES[action]) {
+    moveFocusFromCell(input, MOVES[action][0], MOVES[action][1]);
+  } else if (action === "nextEmpty") {
+    moveToEmptyCell(input, e.shiftKey);
+  } else if (e.key === "Tab") {
+    return;
+  } else if (digitFromKey(e)) {
+    setEditorCell(input, digitFromKey(e));
+  } else if (e.key === "0" || e.key === "Backspace" || e.key === "Delete") {
+    setEditorCell(input, "");
+  }
+  e.preventDefault();
+}
+
+// Live count of solutions, with clashing givens and ambiguous cells marked
+function updateEditorStatus() {
+  checkConflicts();
+  const cells = document.querySelectorAll(".board input");
+  cells.forEach((cell) => cell.classList.remove("ambiguous"));
+
+  const board = readEditorGivens();
+  const clues = board.flat().filter((value) => value !== 0).length;
+  let text;
+  let ready = false;
+
+  if (document.querySelector(".board input.conflict")) {
+    text = "No solution: the marked givens clash.";
+  } else {
+    const solutions = findSolutions(board, 2, currentRules, EDITOR_CHECK_NODES);
+    if (!solutions) {
+      text = "Too open to tell yet; keep adding givens.";
+    } else if (solutions.length === 0) {
+      text = "No solution.";
+    } else if (solutions.length === 1) {
+      text = "Exactly one solution: ready to play.";
+      ready = true;
+    } else {
+      text = "More than one solution; the marked cells can go more than one way.";
+      const [first, second] = solutions;
+      cells.forEach((cell) => {
+        const row = Number(cell.dataset.row);
+        const col = Number(cell.dataset.col);
+        cell.classList.toggle("ambiguous", first[row][col] !== second[row][col]);
+      });
+    }
+  }
+
+  const status = document.getElementById("editor-status");
+  if (status) status.textContent = `${clues} givens. ${text}`;
+  document.getElementById("editor-play-btn").disabled = !ready;
+  return ready;
+}
+
+// Show the unique solution in the empty cells, or one of several
+function solveEditorPuzzle() {
+  const board = readEditorGivens();
+  const solutions = findSolutions(board, 2, currentRules, EDITOR_CHECK_NODES);
+  if (!solutions || solutions.length === 0) {
+    setEditorMessage(solutions ? "There is no solution to show." : "Couldn't find a solution in time.", true);
+    return;
+  }
+
+  document.querySelectorAll(".board input").forEach((cell) => {
+    if (cell.classList.contains("given")) return;
+    cell.value = digitSymbol(solutions[0][Number(cell.dataset.row)][Number(cell.dataset.col)]);
+    cell.classList.add("editor-solution");
+  });
+  setEditorMessage(solutions.length > 1 ? "This is one of several solutions." : "This is the only solution.", false);
+}
+
+function gradeEditorPuzzle() {
+  if (!updateEditorStatus()) {
+    setEditorMessage("Only a puzzle with exactly one solution can be graded.", true);
+    return;
+  }
+  const grade = gradePuzzle(readEditorGivens(), currentRules);
+  const name = DIFFICULTY_NAMES[grade.difficulty];
+  if (!grade.solved) {
+    setEditorMessage(`Grades as ${name}: it takes guessing beyond the techniques the hints know.`, false);
+  } else if (grade.hardestTechnique) {
+    setEditorMessage(`Grades as ${name}; the hardest step it needs is ${grade.hardestTechnique}.`, false);
+  } else {
+    setEditorMessage(`Grades as ${name}.`, false);
+  }
+}
+
+// Lock the givens and play the puzzle like any other
+function playEditorPuzzle() {
+  const result = preparePuzzle(readEditorGivens(), currentRules);
+  if (result.error) {
+    setEditorMessage(result.error, true);
+    return;
+  }
+  startPuzzle(result);
+  setActiveDifficulty(result.difficulty);
+}
+
+function setupEditor() {
+  const panel = document.getElementById("editor-panel");
+  const toggleBtn = document.getElementById("editor-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    if (editorMode) {
+      cancelEditor();
+    } else {
+      openEditor();
     }
-    if (currentRowIndex !== -1) break;
+  });
+  document.getElementById("editor-solve-btn").addEventListener("click", solveEditorPuzzle);
+  document.getElementById("editor-grade-btn").addEventListener("click", gradeEditorPuzzle);
+  document.getElementById("editor-clear-btn").addEventListener("click", () => {
+    fillBoard(createBlankBoard(currentSize));
+    setEditorMessage("", false);
+    updateEditorStatus();
+  });
+  document.getElementById("editor-play-btn").addEventListener("click", playEditorPuzzle);
+  document.getElementById("editor-cancel-btn").addEventListener("click", cancelEditor);
+}
+
+// =======================
+// Solver
+// =======================
+
+// Paste a grid in almost any layout (see parseGrid) and have it solved
+// under the ticked rules that need no data. The trace lists each logical
+// step; where the techniques run out, backtracking finishes the job or
+// shows two solutions that differ.
+
+// Digits the backtracking may place before it gives up
+const SOLVER_SEARCH_NODES = 2000000;
+
+function setSolverMessage(text, isError) {
+  const message = document.getElementById("solver-message");
+  if (message) {
+    message.textContent = text;
+    message.classList.toggle("error", Boolean(isError));
+  }
+}
+
+// A small read-only copy of a board, givens in bold and `marked` cells
+// (a grid of booleans) shaded
+function renderSolverGrid(board, givens, marked) {
+  const size = board.length;
+  const [boxRows, boxCols] = BOX_SHAPES[size];
+  const table = document.createElement("table");
+  table.className = "solver-grid";
+  board.forEach((row, r) => {
+    const tr = document.createElement("tr");
+    row.forEach((value, c) => {
+      const td = document.createElement("td");
+      td.textContent = value === 0 ? "" : digitSymbol(value);
+      td.classList.toggle("given", givens[r][c] !== 0);
+      td.classList.toggle("differs", Boolean(marked && marked[r][c]));
+      td.classList.toggle("box-right", (c + 1) % boxCols === 0 && c < size - 1);
+      td.classList.toggle("box-bottom", (r + 1) % boxRows === 0 && r < size - 1);
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  return table;
+}
+
+function showSolverResult(text, isError, steps = [], boards = [], givens = null) {
+  setSolverMessage(text, isError);
+
+  const list = document.getElementById("solver-steps");
+  list.innerHTML = "";
+  steps.forEach((step) => {
+    const item = document.createElement("li");
+    item.textContent = step.description;
+    list.appendChild(item);
+  });
+  list.hidden = steps.length === 0;
+
+  // Two solutions are shown side by side with the cells they differ on
+  const grids = document.getElementById("solver-grids");
+  grids.innerHTML = "";
+  const marked =
+    boards.length > 1 ? boards[0].map((row, r) => row.map((value, c) => value !== boards[1][r][c])) : null;
+  boards.forEach((board) => grids.appendChild(renderSolverGrid(board, givens, marked)));
+}
+
+function solvePastedPuzzle() {
+  let board;
+  try {
+    board = parseGrid(document.getElementById("solver-text").value);
+  } catch (err) {
+    showSolverResult(`Invalid grid: ${err.message}`, true);
+    return;
+  }
+
+  const rules = plainRules();
+  const problem = rulesProblem(board.length, rules);
+  if (problem) {
+    showSolverResult(problem, true);
+    return;
+  }
+  const clashes = findClashes(board, rules);
+  if (clashes.length > 0) {
+    const cells = clashes.map(([row, col]) => `R${row + 1}C${col + 1}`).join(", ");
+    showSolverResult(`Invalid grid: the givens in ${cells} clash.`, true, [], [board], board);
+    return;
   }
 
-  if (currentRowIndex === -1 || currentColIndex === -1) return null;
+  const trace = solveLogically(board, undefined, rules);
+  if (trace.solved) {
+    showSolverResult(
+      trace.steps.length === 0
+        ? "The grid is already full, and it keeps to the rules."
+        : `Solved by logic alone in ${trace.steps.length} steps; it has exactly one solution.`,
+      false,
+      trace.steps,
+      [trace.board],
+      board
+    );
+    return;
+  }
 
-  let newRow = currentRowIndex + dRow;
-  let newCol = currentColIndex + dCol;
+  const solutions = findSolutions(board, 2, rules, SOLVER_SEARCH_NODES);
+  const stuck =
+    trace.steps.length === 0 ? "The techniques found no way in" : `The techniques got ${trace.steps.length} steps in`;
+  if (!solutions) {
+    showSolverResult(`${stuck}, then the search gave up before finding an answer.`, true, trace.steps, [trace.board], board);
+  } else if (solutions.length === 0) {
+    showSolverResult(`${stuck}, then the search showed there is no solution.`, true, trace.steps, [trace.board], board);
+  } else if (solutions.length === 1) {
+    showSolverResult(`${stuck}, then backtracking found the only solution.`, false, trace.steps, solutions, board);
+  } else {
+    showSolverResult("More than one solution; here are two, with the cells they differ on marked.", true, [], solutions, board);
+  }
+}
+
+function setupSolver() {
+  const panel = document.getElementById("solver-panel");
+  const toggleBtn = document.getElementById("solver-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+  });
+  document.getElementById("solver-solve-btn").addEventListener("click", solvePastedPuzzle);
+  document.getElementById("solver-clear-btn").addEventListener("click", () => {
+    document.getElementById("solver-text").value = "";
+    showSolverResult("", false);
+  });
+}
+
+// =======================
+// Modes
+// =======================
+
+function setPencilMode(on) {
+  pencilMode = on;
+  const pencilBtn = document.getElementById("pencil-mode-btn");
+  if (pencilBtn) {
+    pencilBtn.classList.toggle("active", pencilMode);
+  }
+}
+
+// Digit-first mode: pick a digit on the pad under the board (or with its
+// key), then click cells to put it in; clicking a cell that already has
+// it takes it out again. The mode is kept with the key settings.
+let selectedDigit = null;
+
+function setDigitFirstMode(on) {
+  keySettings.digitFirst = on;
+  saveKeySettings();
+  const digitFirstBtn = document.getElementById("digit-first-btn");
+  if (digitFirstBtn) {
+    digitFirstBtn.classList.toggle("active", on);
+  }
+  if (on) {
+    updateDigitPad();
+  } else {
+    selectDigit(null);
+  }
+}
+
+// Pick a digit on the pad (null for none); it is picked out on the board
+// in place of the focused cell's digit
+function selectDigit(digit) {
+  selectedDigit = digit;
+  document.querySelectorAll("#digit-pad .digit-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.digit === digit);
+  });
+  updateShading();
+}
+
+// One button per digit of the board in play, each with a count of how
+// many are still to go (see updateDigitPad); buildBoard calls this
+function renderDigitPad(size) {
+  const pad = document.getElementById("digit-pad");
+  if (!pad) return;
+  pad.innerHTML = "";
+  for (let d = 1; d <= size; d++) {
+    const btn = document.createElement("button");
+    btn.className = "digit-btn";
+    btn.dataset.digit = digitSymbol(d);
+    btn.textContent = digitSymbol(d);
+    const count = document.createElement("span");
+    count.className = "digit-count";
+    btn.appendChild(count);
+    btn.addEventListener("click", () => selectDigit(selectedDigit === btn.dataset.digit ? null : btn.dataset.digit));
+    pad.appendChild(btn);
+  }
+  if (selectedDigit && symbolDigit(selectedDigit) > size) selectedDigit = null;
+  selectDigit(selectedDigit);
+}
+
+// Put the picked digit in the cells as a value or a `kind` of note; if
+// they all have it as their value already it comes out instead
+function placeSelectedDigit(cells, kind) {
+  if (!kind && cells.every((cell) => cell.value === selectedDigit)) {
+    clearCells(cells);
+  } else {
+    enterDigit(cells, selectedDigit, kind);
+  }
+}
+
+// Switching auto notes on fills in every candidate as one undo step;
+// restoring a saved game passes fill = false since its notes are saved
+function setAutoNotesMode(on, fill = true) {
+  autoNotesMode = on;
+  const autoBtn = document.getElementById("auto-notes-btn");
+  if (autoBtn) {
+    autoBtn.classList.toggle("active", autoNotesMode);
+  }
+
+  if (autoNotesMode && fill && currentPuzzle) {
+    recordStep(fillAutoNotes);
+  }
+}
+
+// Help mode cycles through these, in this order
+const VALIDATION_MODES = {
+  solution: "Help: Solution",   // red when an entry differs from the solution
+  conflicts: "Help: Conflicts", // red only where the rules are broken
+  off: "Help: Off"
+};
+
+function setValidationMode(mode) {
+  validationMode = VALIDATION_MODES[mode] ? mode : "solution";
+  const helpBtn = document.getElementById("help-mode-btn");
+  if (helpBtn) {
+    helpBtn.textContent = VALIDATION_MODES[validationMode];
+    helpBtn.classList.toggle("active", validationMode !== "off");
+  }
+
+  // Recheck every cell under the new mode; each check clears its own
+  // marks when its mode is off
+  document.querySelectorAll(".board input").forEach((cell) => checkCellCorrect(cell));
+  checkConflicts();
+}
+
+function nextValidationMode() {
+  const modes = Object.keys(VALIDATION_MODES);
+  return modes[(modes.indexOf(validationMode) + 1) % modes.length];
+}
+
+// =======================
+// Save / restore
+// =======================
+
+const SAVE_KEY = "sudokuByNoah.game";
+const SAVE_VERSION = 5;
+
+// Upgrades a save from one version to the next, keyed by the version
+// being upgraded. Anything added to the saved state bumps SAVE_VERSION
+// and gets a step here so older saves keep loading.
+const SAVE_MIGRATIONS = {
+  // 2 added the undo/redo history
+  1: (data) => Object.assign({}, data, { version: 2, history: { undo: [], redo: [] } }),
+  // 3 moved notes out of the cell value; the old up-to-3 notes sat in the
+  // middle of the cell, so they become centre marks
+  2: (data) => {
+    const upgradeStep = (step) => Object.assign({}, step, {
+      cells: step.cells.map((change) => Object.assign({}, change, {
+        before: upgradeV2Cell(change.before),
+        after: upgradeV2Cell(change.after)
+      }))
+    });
+    return Object.assign({}, data, {
+      version: 3,
+      cells: data.cells.map(upgradeV2Cell),
+      history: {
+        undo: data.history.undo.map(upgradeStep),
+        redo: data.history.redo.map(upgradeStep)
+      }
+    });
+  },
+  // 4 replaced the help on/off switch with a choice of validation modes
+  3: (data) => {
+    const upgraded = Object.assign({}, data, {
+      version: 4,
+      validationMode: data.helpMode === false ? "off" : "solution"
+    });
+    delete upgraded.helpMode;
+    return upgraded;
+  },
+  // 5 replaced the one highlight colour with a palette; old highlights
+  // take its first colour
+  4: (data) => {
+    const upgradeStep = (step) => Object.assign({}, step, {
+      cells: step.cells.map((change) => Object.assign({}, change, {
+        before: upgradeV4Cell(change.before),
+        after: upgradeV4Cell(change.after)
+      }))
+    });
+    return Object.assign({}, data, {
+      version: 5,
+      cells: data.cells.map(upgradeV4Cell),
+      history: {
+        undo: data.history.undo.map(upgradeStep),
+        redo: data.history.redo.map(upgradeStep)
+      }
+    });
+  }
+};
+
+function upgradeV2Cell(state) {
+  const notes = state.pencil ? state.value.replace(/\D/g, "") : "";
+  return {
+    value: state.pencil ? "" : state.value,
+    corner: "",
+    centre: notes,
+    hint: state.hint,
+    highlight: state.highlight
+  };
+}
+
+function upgradeV4Cell(state) {
+  const upgraded = Object.assign({}, state, { colours: state.highlight ? "1" : "" });
+  delete upgraded.highlight;
+  return upgraded;
+}
+
+// Defaults for every saved field, filled in when a save lacks one
+const SAVE_DEFAULTS = {
+  seed: null,
+  difficulty: null,
+  cells: [],
+  knownEliminations: [],
+  game: null,
+  pencilMode: false,
+  autoNotesMode: false,
+  validationMode: "solution",
+  rules: [],
+  pattern: "none",
+  history: { undo: [], redo: [] }
+};
+
+// Everything about one cell that the puzzle itself doesn't fix
+function readCellState(cell) {
+  return {
+    value: cell.value,
+    corner: cell.dataset.corner || "",
+    centre: cell.dataset.centre || "",
+    hint: cell.classList.contains("hint"),
+    colours: cell.dataset.colours || ""
+  };
+}
+
+function writeCellState(cell, state) {
+  cell.value = state.value || "";
+  cell.dataset.corner = state.corner || "";
+  cell.dataset.centre = state.centre || "";
+  renderNotes(cell);
+  cell.classList.toggle("hint", Boolean(state.hint));
+  setColours(cell, (state.colours || "").split(""));
+
+  // hints are locked like givens
+  if (!cell.classList.contains("given")) {
+    cell.readOnly = Boolean(state.hint);
+  }
+  checkCellCorrect(cell);
+}
+
+function serializeGame() {
+  const cells = [];
+  document.querySelectorAll(".board input").forEach((cell) => {
+    cells.push(readCellState(cell));
+  });
+
+  return {
+    version: SAVE_VERSION,
+    puzzle: currentPuzzle,
+    solution: currentSolution,
+    seed: currentSeed,
+    difficulty: currentDifficulty,
+    rules: currentRules,
+    pattern: currentPattern,
+    cells,
+    knownEliminations,
+    game: Object.assign({}, currentGame, { elapsed: elapsedTime() }),
+    pencilMode,
+    autoNotesMode,
+    validationMode,
+    history: { undo: undoStack, redo: redoStack }
+  };
+}
+
+function saveGame() {
+  if (!currentPuzzle) return;
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(serializeGame()));
+  } catch (err) {
+    console.error("Failed to save game:", err);
+  }
+}
+
+// A square board of one of the supported sizes
+function isBoardArray(board) {
+  return Array.isArray(board) && BOARD_SIZES.includes(board.length) &&
+    board.every((row) => Array.isArray(row) && row.length === board.length);
+}
+
+// Bring a save up to the current version; null if it can't be used
+function migrateSave(data) {
+  if (!data || typeof data.version !== "number" || data.version > SAVE_VERSION) {
+    return null;
+  }
+
+  let upgraded = data;
+  while (upgraded.version < SAVE_VERSION) {
+    const step = SAVE_MIGRATIONS[upgraded.version];
+    if (!step) return null;
+    upgraded = step(upgraded);
+  }
+
+  if (!isBoardArray(upgraded.puzzle) || !isBoardArray(upgraded.solution) ||
+      upgraded.puzzle.length !== upgraded.solution.length) {
+    return null;
+  }
+  return Object.assign({}, SAVE_DEFAULTS, upgraded);
+}
+
+function loadSavedGame() {
+  try {
+    const raw = localStorage.getItem(SAVE_KEY);
+    return raw ? migrateSave(JSON.parse(raw)) : null;
+  } catch (err) {
+    console.error("Failed to read saved game:", err);
+    return null;
+  }
+}
+
+function restoreGame(data) {
+  startPuzzle({
+    puzzle: data.puzzle,
+    solution: data.solution,
+    seed: data.seed,
+    difficulty: data.difficulty,
+    rules: data.rules,
+    pattern: data.pattern
+  });
+  setActiveDifficulty(data.difficulty, isDailySeed(data.seed, data.difficulty, data.puzzle.length, data.rules, data.pattern));
+
+  knownEliminations = data.knownEliminations.slice();
+  if (data.game) {
+    pauseTimer();
+    currentGame = Object.assign(newGameRecord(), data.game);
+    resumeTimer();
+    updateGameStatus();
+  }
+  setPencilMode(data.pencilMode);
+  setAutoNotesMode(data.autoNotesMode, false);
+  setValidationMode(data.validationMode);
+
+  document.querySelectorAll(".board input").forEach((cell, i) => {
+    if (!data.cells[i]) return;
+    if (cell.classList.contains("given")) {
+      setColours(cell, (data.cells[i].colours || "").split("")); // givens keep only their colours
+    } else {
+      writeCellState(cell, data.cells[i]);
+    }
+  });
+  checkConflicts();
+  updateShading();
+
+  resetHistory(data.history);
+  saveGame();
+}
+
+// =======================
+// Undo / redo
+// =======================
+
+// Each step holds the cells it changed as { index, before, after } cell
+// states (see readCellState), plus the hint eliminations before and after
+// if those changed. Cells are indexed in board order.
+let undoStack = [];            // done steps, newest last
+let redoStack = [];            // undone steps, newest last
+let committedCells = [];       // cell states as of the last finished step
+let openStep = null;           // step being recorded, with nesting depth
+
+function readAllCellStates() {
+  return Array.from(document.querySelectorAll(".board input"), readCellState);
+}
+
+function resetHistory(history) {
+  undoStack = history ? history.undo.slice() : [];
+  redoStack = history ? history.redo.slice() : [];
+  committedCells = readAllCellStates();
+  openStep = null;
+  updateHistoryButtons();
+}
+
+// Start recording. Nested begin/end pairs fold into the outer step, so
+// e.g. a whole Shift+drag becomes one step.
+function beginStep() {
+  if (openStep) {
+    openStep.depth += 1;
+    return;
+  }
+  openStep = { depth: 1, known: knownEliminations.slice(), checkSolved: false };
+}
+
+function endStep() {
+  if (!openStep) return;
+  openStep.depth -= 1;
+  if (openStep.depth > 0) return;
+
+  const knownBefore = openStep.known;
+  const checkSolved = openStep.checkSolved;
+  openStep = null;
+
+  const cells = [];
+  const current = readAllCellStates();
+  current.forEach((after, index) => {
+    const before = committedCells[index];
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      cells.push({ index, before, after });
+    }
+  });
+  committedCells = current;
+  countMove(cells);
+  updateShading();
+  if (checkSolved) checkPuzzleSolved();
+
+  const knownChanged = knownBefore.length !== knownEliminations.length;
+  if (cells.length === 0 && !knownChanged) return;
+
+  undoStack.push({
+    cells,
+    known: knownChanged ? { before: knownBefore, after: knownEliminations.slice() } : null
+  });
+  redoStack = [];
+  updateHistoryButtons();
+  saveGame();
+}
+
+function recordStep(action) {
+  beginStep();
+  try {
+    action();
+  } finally {
+    endStep();
+  }
+}
+
+// Put every cell of `step` back to its "before" or "after" state
+function applyHistoryStep(step, side) {
+  const inputs = document.querySelectorAll(".board input");
+  step.cells.forEach((change) => {
+    writeCellState(inputs[change.index], change[side]);
+  });
+  if (step.known) {
+    knownEliminations = step.known[side].slice();
+  }
+
+  committedCells = readAllCellStates();
+  checkConflicts();
+  updateShading();
+  closeHint(); // a hint on screen may no longer fit the board
+  updateHistoryButtons();
+  saveGame();
+}
+
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+  redoStack.push(step);
+  applyHistoryStep(step, "before");
+}
+
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+  undoStack.push(step);
+  applyHistoryStep(step, "after");
+  checkPuzzleSolved();
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undo-btn");
+  if (undoBtn) {
+    undoBtn.disabled = undoStack.length === 0;
+  }
+  const redoBtn = document.getElementById("redo-btn");
+  if (redoBtn) {
+    redoBtn.disabled = redoStack.length === 0;
+  }
+}
+
+// Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on a Mac). Text
+// fields outside the board keep their own undo.
+function handleHistoryKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || editorMode) return;
+  const tag = e.target.tagName;
+  if ((tag === "TEXTAREA" || tag === "INPUT" || tag === "SELECT") && !e.target.closest(".board")) {
+    return;
+  }
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    undo();
+    e.preventDefault();
+  } else if (key === "y" || (key === "z" && e.shiftKey)) {
+    redo();
+    e.preventDefault();
+  }
+}
+
+// =======================
+// Keys and settings
+// =======================
+
+// Keys are named by KeyboardEvent.key, letters in lower case. Each action
+// can have any number of keys; the settings panel remaps them. A key
+// that is a digit on the board in play (A-C on 12x12, A-G on 16x16)
+// types the digit instead, so the defaults keep clear of A-G apart from
+// the WASD moves, which the arrows back up.
+const KEYS_KEY = "sudokuByNoah.keys";
+
+const KEY_ACTIONS = {
+  up: "Move up",
+  down: "Move down",
+  left: "Move left",
+  right: "Move right",
+  nextEmpty: "Next empty cell (Shift: previous)",
+  pencil: "Pencil mode",
+  digitFirst: "Digit-first mode",
+  place: "Place the picked digit",
+  selectRow: "Select the row",
+  selectColumn: "Select the column",
+  selectBox: "Select the box",
+  selectSame: "Select cells with this digit",
+  mark: "Colour the selection (last colour used)"
+};
+
+const DEFAULT_KEY_BINDINGS = {
+  up: ["ArrowUp", "w"],
+  down: ["ArrowDown", "s"],
+  left: ["ArrowLeft", "a"],
+  right: ["ArrowRight", "d"],
+  nextEmpty: ["Enter"],
+  pencil: ["p"],
+  digitFirst: ["q"],
+  place: [" "],
+  selectRow: ["r"],
+  selectColumn: ["v"],
+  selectBox: ["o"],
+  selectSame: ["x"],
+  mark: ["m"]
+};
+
+// Row / column steps, including the diagonals the number pad can take
+const MOVES = {
+  up: [-1, 0],
+  down: [1, 0],
+  left: [0, -1],
+  right: [0, 1],
+  upLeft: [-1, -1],
+  upRight: [-1, 1],
+  downLeft: [1, -1],
+  downRight: [1, 1]
+};
+
+// Extra movement keys the settings can switch on. The number pad goes
+// by e.code, since its keys are digits (or arrows without Num Lock).
+const VIM_ACTIONS = { k: "up", j: "down", h: "left", l: "right" };
+const NUMPAD_ACTIONS = {
+  Numpad8: "up",
+  Numpad2: "down",
+  Numpad4: "left",
+  Numpad6: "right",
+  Numpad7: "upLeft",
+  Numpad9: "upRight",
+  Numpad1: "downLeft",
+  Numpad3: "downRight"
+};
+
+// Keys that keep their own job and can't be bound
+const RESERVED_KEYS = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "Backspace", "Delete", "Tab", "Escape",
+  "Shift", "Control", "Alt", "Meta"];
+
+const KEY_LABELS = { " ": "Space", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+
+// The settings that are checkboxes in the settings panel, as
+// setting-<name>; digit-first has its own button
+const SETTING_OPTIONS = ["wrap", "vim", "numpad", "shadePeers", "sameDigit", "digitCounts"];
+
+let keySettings = loadKeySettings();
+let keyCapture = null; // action waiting for a key to be pressed in the settings panel
+
+function defaultKeySettings() {
+  const bindings = {};
+  Object.keys(DEFAULT_KEY_BINDINGS).forEach((action) => {
+    bindings[action] = DEFAULT_KEY_BINDINGS[action].slice();
+  });
+  return {
+    bindings,
+    wrap: false,
+    vim: false,
+    numpad: false,
+    digitFirst: false,
+    shadePeers: true,
+    sameDigit: true,
+    digitCounts: true
+  };
+}
+
+// Stored settings over the defaults, so an action added later still
+// gets its keys
+function loadKeySettings() {
+  const settings = defaultKeySettings();
+  try {
+    const data = JSON.parse(localStorage.getItem(KEYS_KEY));
+    if (!data) return settings;
+    Object.keys(settings.bindings).forEach((action) => {
+      const keys = data.bindings && data.bindings[action];
+      if (Array.isArray(keys)) settings.bindings[action] = keys.filter((key) => typeof key === "string");
+    });
+    SETTING_OPTIONS.concat("digitFirst").forEach((name) => {
+      if (name in data) settings[name] = Boolean(data[name]);
+    });
+  } catch (err) {
+    console.error("Failed to read key settings:", err);
+  }
+  return settings;
+}
+
+function saveKeySettings() {
+  try {
+    localStorage.setItem(KEYS_KEY, JSON.stringify(keySettings));
+  } catch (err) {
+    console.error("Failed to save key settings:", err);
+  }
+}
+
+function keyName(e) {
+  return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+function keyLabel(key) {
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// The action a key press stands for, or null. Ctrl / Cmd combinations
+// are left to the undo keys and the browser.
+function keyAction(e) {
+  if (e.ctrlKey || e.metaKey) return null;
+  if (keySettings.numpad && NUMPAD_ACTIONS[e.code]) return NUMPAD_ACTIONS[e.code];
+  if (digitFromKey(e) && symbolDigit(e.key) > 0) return null;
+
+  const key = keyName(e);
+  const action = Object.keys(keySettings.bindings).find((name) => keySettings.bindings[name].includes(key));
+  if (action) return action;
+  return keySettings.vim && VIM_ACTIONS[key] ? VIM_ACTIONS[key] : null;
+}
+
+// True if a bound key is a letter the board in play uses as a digit
+// (A-C on 12x12, A-G on 16x16), so it types that digit instead
+function keyTakenByBoard(key) {
+  const digit = symbolDigit(key);
+  return digit > 9 && digit <= currentSize;
+}
+
+// The settings panel: movement options and one row of keys per action,
+// with the keys this board takes over for digits struck through
+function renderKeyBindings() {
+  const body = document.getElementById("key-bindings");
+  if (!body) return;
+  body.innerHTML = "";
+
+  Object.keys(KEY_ACTIONS).forEach((action) => {
+    const row = document.createElement("tr");
+    const label = document.createElement("th");
+    label.textContent = KEY_ACTIONS[action];
+    row.appendChild(label);
+
+    const keys = document.createElement("td");
+    keySettings.bindings[action].forEach((key) => {
+      const chip = document.createElement("button");
+      chip.className = "key-chip";
+      chip.textContent = `${keyLabel(key)} ×`;
+      chip.title = "Remove this key";
+      if (keyTakenByBoard(key)) {
+        chip.classList.add("taken");
+        chip.title = `${keyLabel(key)} types a digit on ${currentSize}x${currentSize} boards; click to remove it`;
+      }
+      chip.addEventListener("click", () => {
+        keySettings.bindings[action] = keySettings.bindings[action].filter((other) => other !== key);
+        saveKeySettings();
+        renderKeyBindings();
+      });
+      keys.appendChild(chip);
+    });
+
+    const add = document.createElement("button");
+    add.className = "key-chip key-add";
+    add.textContent = keyCapture === action ? "Press a key…" : "+ Add key";
+    add.addEventListener("click", () => {
+      keyCapture = keyCapture === action ? null : action;
+      setSettingsMessage(keyCapture ? "Press the new key, or Escape to cancel." : "", false);
+      renderKeyBindings();
+    });
+    keys.appendChild(add);
+    row.appendChild(keys);
+    body.appendChild(row);
+  });
+}
+
+function setSettingsMessage(text, isError) {
+  const message = document.getElementById("settings-message");
+  if (message) {
+    message.textContent = text;
+    message.classList.toggle("error", Boolean(isError));
+  }
+}
+
+// While a key is being picked, the next key press goes to the settings
+// and nowhere else. A key moves over from any action it was on.
+function captureBindingKey(e) {
+  if (!keyCapture) return;
+  e.preventDefault();
+  e.stopPropagation();
+
+  const key = keyName(e);
+  if (key === "Escape") {
+    setSettingsMessage("", false);
+  } else if (RESERVED_KEYS.includes(key)) {
+    setSettingsMessage(`${keyLabel(key)} can't be bound; digits and Delete keep their jobs.`, true);
+    return;
+  } else {
+    Object.keys(keySettings.bindings).forEach((action) => {
+      keySettings.bindings[action] = keySettings.bindings[action].filter((other) => other !== key);
+    });
+    keySettings.bindings[keyCapture].push(key);
+    saveKeySettings();
+    const note = keyTakenByBoard(key) ? `, except on ${currentSize}x${currentSize} boards where it types a digit` : "";
+    setSettingsMessage(`${keyLabel(key)} now does "${KEY_ACTIONS[keyCapture]}"${note}.`, false);
+  }
+  keyCapture = null;
+  renderKeyBindings();
+}
+
+function setupSettings() {
+  const panel = document.getElementById("settings-panel");
+  const toggleBtn = document.getElementById("settings-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+    keyCapture = null;
+    renderKeyBindings();
+  });
+
+  SETTING_OPTIONS.forEach((name) => {
+    const box = document.getElementById(`setting-${name}`);
+    box.checked = keySettings[name];
+    box.addEventListener("change", () => {
+      keySettings[name] = box.checked;
+      saveKeySettings();
+      updateShading();
+    });
+  });
+
+  document.getElementById("keys-reset-btn").addEventListener("click", () => {
+    keySettings.bindings = defaultKeySettings().bindings;
+    keyCapture = null;
+    saveKeySettings();
+    setSettingsMessage("Keys are back to their defaults.", false);
+    renderKeyBindings();
+  });
+
+  // Capture phase, so a key being picked never reaches a cell
+  document.addEventListener("keydown", captureBindingKey, true);
+  renderKeyBindings();
+}
+
+// =======================
+// Movement / navigation
+// =======================
+
+// Step from a cell; at the edge it stops, or with wrap-around on comes
+// back in on the far side
+function moveFocusFromCell(currentInput, dRow, dCol) {
+  const row = Number(currentInput.dataset.row);
+  const col = Number(currentInput.dataset.col);
+  if (Number.isNaN(row) || Number.isNaN(col)) return null;
+
+  const last = currentSize - 1;
+  const step = (from, delta) =>
+    keySettings.wrap ? (from + delta + currentSize) % currentSize : Math.max(0, Math.min(last, from + delta));
+  const nextCell = getCell(step(row, dRow), step(col, dCol));
+  if (nextCell) {
+    nextCell.focus();
+  }
+  return nextCell;
+}
+
+// Jump to the next cell without a value in reading order (or the one
+// before it), round the end of the board; stays put on a full board
+function moveToEmptyCell(currentInput, backwards) {
+  const cells = Array.from(document.querySelectorAll(".board input"));
+  const start = cells.indexOf(currentInput);
+  for (let i = 1; i < cells.length; i++) {
+    const index = (start + (backwards ? -i : i) + cells.length) % cells.length;
+    if (cells[index].value === "") {
+      cells[index].focus();
+      return cells[index];
+    }
+  }
+  return null;
+}
+
+// =======================
+// Help mode / wrong cells
+// =======================
+
+// "Compare to solution": one cell against currentSolution
+function checkCellCorrect(input) {
+  // No solution yet, or this is a given cell, or not comparing
+  if (
+    !currentSolution ||
+    input.readOnly ||
+    validationMode !== "solution"
+  ) {
+    input.classList.remove("wrong");
+    return;
+  }
+
+  const row = Number(input.dataset.row);
+  const col = Number(input.dataset.col);
+
+  if (Number.isNaN(row) || Number.isNaN(col)) {
+    input.classList.remove("wrong");
+    return;
+  }
+
+  const expected = digitSymbol(currentSolution[row][col]);
+  const value = input.value.trim().toUpperCase();
+
+  if (value === "" || value === expected) {
+    input.classList.remove("wrong");
+  } else {
+    input.classList.add("wrong");
+  }
+}
+
+// "Conflicts only": every digit that repeats in a row, column or box, or
+// breaks a variant rule, givens included, so the whole clash shows.
+// Works from the board alone.
+function checkConflicts() {
+  const cells = document.querySelectorAll(".board input");
+  const board = readProgress();
+
+  cells.forEach((cell) => {
+    let conflict = false;
+    const value = symbolDigit(cell.value.trim());
+    if ((editorMode || validationMode === "conflicts") && value >= 1 && value <= currentSize) {
+      const row = Number(cell.dataset.row);
+      const col = Number(cell.dataset.col);
+      // isSafe would find the cell itself, so lift it out while checking
+      board[row][col] = 0;
+      conflict = !isSafe(board, row, col, value, currentRules);
+      board[row][col] = value;
+    }
+    cell.classList.toggle("conflict", conflict);
+  });
+}
+
+// =======================
+// Puzzle solved check
+// =======================
+
+// Inside an undo step the check waits for the step to end, so the move
+// that fills the board is counted before the game is finished
+function checkPuzzleSolved() {
+  if (!currentSolution) return;
+  if (openStep) {
+    openStep.checkSolved = true;
+    return;
+  }
+
+  for (let r = 0; r < currentSize; r++) {
+    for (let c = 0; c < currentSize; c++) {
+      const cell = getCell(r, c);
+      if (!cell || symbolDigit(cell.value.trim()) !== currentSolution[r][c]) {
+        return; // not solved
+      }
+    }
+  }
+
+  // If we reached here, every cell matches the solution
+  finishGame();
+}
+
+// =======================
+// Timer / move counters
+// =======================
+
+// Moves are board changes (values and notes, not colours); mistakes
+// are entries that don't match the solution, counted in every help mode
+function newGameRecord() {
+  return { elapsed: 0, moves: 0, mistakes: 0, hints: 0, size: 9, counted: false, finished: false };
+}
+
+let timerStartedAt = null;     // Date.now() when the clock last resumed, null while paused
+let timerInterval = null;      // ticks the time shown while running
+
+function elapsedTime() {
+  return currentGame.elapsed + (timerStartedAt === null ? 0 : Date.now() - timerStartedAt);
+}
+
+function resumeTimer() {
+  if (timerStartedAt !== null || currentGame.finished || !currentPuzzle || document.hidden) {
+    return;
+  }
+  timerStartedAt = Date.now();
+  timerInterval = setInterval(updateGameStatus, 1000);
+}
+
+function pauseTimer() {
+  if (timerStartedAt === null) return;
+  currentGame.elapsed = elapsedTime();
+  timerStartedAt = null;
+  clearInterval(timerInterval);
+  timerInterval = null;
+  updateGameStatus();
+}
+
+// A new puzzle starts a fresh record. Leaving a game that was started
+// but not finished ends its difficulty's win streak.
+function startGameRecord() {
+  pauseTimer();
+  if (currentGame.counted && !currentGame.finished) {
+    recordGameAbandoned(statsKey(currentGame.difficulty, currentGame.size));
+  }
+  currentGame = Object.assign(newGameRecord(), { difficulty: currentDifficulty, size: currentSize });
+  resumeTimer();
+  updateGameStatus();
+}
+
+// Called with the changes of each finished undo step
+function countMove(changes) {
+  const edits = changes.filter(({ before, after }) =>
+    before.value !== after.value || before.corner !== after.corner || before.centre !== after.centre
+  );
+  if (edits.length === 0 || currentGame.finished) return;
+
+  // The first move makes this a played game
+  if (!currentGame.counted) {
+    currentGame.counted = true;
+    recordGameStarted(statsKey(currentGame.difficulty, currentGame.size));
+  }
+
+  currentGame.moves += 1;
+  edits.forEach(({ index, before, after }) => {
+    const expected = currentSolution
+      ? digitSymbol(currentSolution[Math.floor(index / currentSize)][index % currentSize])
+      : null;
+    if (after.value !== "" && after.value !== before.value && expected && after.value !== expected) {
+      currentGame.mistakes += 1;
+    }
+  });
+  updateGameStatus();
+}
+
+function countHint() {
+  if (currentGame.finished) return;
+  currentGame.hints += 1;
+  updateGameStatus();
+}
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function updateGameStatus() {
+  const status = document.getElementById("game-status");
+  if (!status) return;
+  status.querySelector(".status-time").textContent = formatTime(elapsedTime());
+  status.querySelector(".status-moves").textContent = currentGame.moves;
+  status.querySelector(".status-mistakes").textContent = currentGame.mistakes;
+  status.querySelector(".status-hints").textContent = currentGame.hints;
+}
+
+function finishGame() {
+  if (currentGame.finished) return;
+  pauseTimer();
+
+  // A solve without a single counted move (e.g. a restored finished
+  // board) still counts as played once
+  if (!currentGame.counted) {
+    currentGame.counted = true;
+    recordGameStarted(statsKey(currentGame.difficulty, currentGame.size));
+  }
+  currentGame.finished = true;
+  const best = recordGameWon(statsKey(currentGame.difficulty, currentGame.size), currentGame.elapsed);
+  if (isDailySeed(currentSeed, currentDifficulty, currentSize, currentRules, currentPattern)) {
+    recordDailyCompleted(currentSeed, currentGame.elapsed);
+  }
+  saveGame();
+  showPuzzleSummary(best);
+}
+
+// The end-of-game screen: this game's numbers next to the records
+function showPuzzleSummary(stats) {
+  const board = document.querySelector(".board");
+  if (board) {
+    board.classList.add("solved");
+  }
+
+  const summary = document.getElementById("puzzle-summary");
+  if (!summary) return;
+
+  const rows = [
+    ["Time", formatTime(currentGame.elapsed)],
+    ["Moves", currentGame.moves],
+    ["Mistakes", currentGame.mistakes],
+    ["Hints used", currentGame.hints],
+    ["Best time", stats.bestTime === null ? "–" : formatTime(stats.bestTime)],
+    ["Win streak", stats.streak]
+  ];
+  const list = summary.querySelector(".summary-stats");
+  list.innerHTML = "";
+  rows.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(term, detail);
+  });
+
+  summary.querySelector(".summary-title").textContent =
+    `${statsLabel(statsKey(currentGame.difficulty, currentGame.size)) || "Puzzle"} solved!`;
+  summary.hidden = false;
+}
+
+function hidePuzzleSummary() {
+  const board = document.querySelector(".board");
+  if (board) {
+    board.classList.remove("solved");
+  }
+  const summary = document.getElementById("puzzle-summary");
+  if (summary) {
+    summary.hidden = true;
+  }
+}
+
+// =======================
+// Daily puzzle
+// =======================
+
+// The daily puzzle is the Medium puzzle seeded with the local date, e.g.
+// "2026-10-19", so everyone playing that day gets the same grid and its
+// link is an ordinary ?seed=2026-10-19&d=m link. Completed dailies are
+// kept as { date: { time, onTheDay } }; only those solved on their own
+// day count towards the streak.
+const DAILY_KEY = "sudokuByNoah.daily";
+const DAILY_DIFFICULTY = "m";
+
+let calendarMonth = null;      // first day of the month the calendar shows
+
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function todayKey() {
+  return dateKey(new Date());
+}
+
+function isDailySeed(seed, difficulty, size = 9, rules = [], pattern = "none") {
+  return size === 9 && rules.length === 0 && pattern === "none" && difficulty === DAILY_DIFFICULTY &&
+    /^\d{4}-\d{2}-\d{2}$/.test(seed || "");
+}
+
+// Whole days from one date key to another
+function daysBetween(from, to) {
+  const parse = (key) => {
+    const [y, m, d] = key.split("-").map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((parse(to) - parse(from)) / 86400000);
+}
+
+function loadDailyRecord() {
+  try {
+    const data = JSON.parse(localStorage.getItem(DAILY_KEY));
+    return data && data.completed ? data : { version: 1, completed: {} };
+  } catch (err) {
+    console.error("Failed to read daily puzzles:", err);
+    return { version: 1, completed: {} };
+  }
+}
+
+function recordDailyCompleted(date, time) {
+  const record = loadDailyRecord();
+  const previous = record.completed[date];
+  record.completed[date] = {
+    time: previous ? Math.min(previous.time, time) : time,
+    onTheDay: Boolean(previous && previous.onTheDay) || date === todayKey()
+  };
+
+  try {
+    localStorage.setItem(DAILY_KEY, JSON.stringify(record));
+  } catch (err) {
+    console.error("Failed to save daily puzzles:", err);
+  }
+  renderDaily();
+}
+
+// { current, best } runs of consecutive days solved on the day. The
+// current run survives until the end of the day after its last solve.
+function dailyStreaks(record) {
+  const days = Object.keys(record.completed)
+    .filter((date) => record.completed[date].onTheDay)
+    .sort();
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach((date) => {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = date;
+  });
+
+  const current = previous && daysBetween(previous, todayKey()) <= 1 ? run : 0;
+  return { current, best };
+}
+
+function loadDaily(date = todayKey()) {
+  loadPuzzle(DAILY_DIFFICULTY, date, 9, [], "none");
+}
+
+function renderDaily() {
+  const record = loadDailyRecord();
+  const today = todayKey();
+  const streaks = dailyStreaks(record);
+
+  const status = document.getElementById("daily-status");
+  if (status) {
+    const done = record.completed[today] ? "solved" : "not solved yet";
+    status.textContent = `Today's daily is ${done}. Streak ${streaks.current}, best ${streaks.best}.`;
+  }
+
+  const grid = document.getElementById("daily-calendar");
+  if (!grid) return;
+
+  if (!calendarMonth) {
+    const now = new Date();
+    calendarMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+  document.getElementById("daily-month").textContent = calendarMonth.toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric"
+  });
+
+  grid.innerHTML = "";
+  ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"].forEach((name) => {
+    const head = document.createElement("span");
+    head.className = "calendar-head";
+    head.textContent = name;
+    grid.appendChild(head);
+  });
+
+  // Pad to the weekday the month starts on, Monday first
+  const offset = (calendarMonth.getDay() + 6) % 7;
+  for (let i = 0; i < offset; i++) {
+    grid.appendChild(document.createElement("span"));
+  }
+
+  const year = calendarMonth.getFullYear();
+  const month = calendarMonth.getMonth();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = dateKey(new Date(year, month, day));
+    const btn = document.createElement("button");
+    btn.className = "calendar-day";
+    btn.textContent = String(day);
+    btn.disabled = date > today;
+    btn.classList.toggle("today", date === today);
+    btn.classList.toggle("done", Boolean(record.completed[date]));
+    if (record.completed[date]) {
+      btn.title = `Solved in ${formatTime(record.completed[date].time)}`;
+    }
+    btn.addEventListener("click", () => loadDaily(date));
+    grid.appendChild(btn);
+  }
+
+  // No browsing into months that have no dailies yet
+  const nextBtn = document.getElementById("daily-next-btn");
+  if (nextBtn) {
+    nextBtn.disabled = dateKey(new Date(year, month + 1, 1)) > today;
+  }
+}
+
+function shiftCalendarMonth(delta) {
+  calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + delta, 1);
+  renderDaily();
+}
+
+function setupDaily() {
+  const dailyBtn = document.getElementById("daily-btn");
+  if (dailyBtn) {
+    dailyBtn.addEventListener("click", () => loadDaily());
+  }
+
+  const panel = document.getElementById("daily-panel");
+  const toggleBtn = document.getElementById("calendar-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+    if (!panel.hidden) renderDaily();
+  });
+  document.getElementById("daily-prev-btn").addEventListener("click", () => shiftCalendarMonth(-1));
+  document.getElementById("daily-next-btn").addEventListener("click", () => shiftCalendarMonth(1));
+}
+
+// =======================
+// Statistics
+// =======================
+
+// Stored apart from the saved game, per difficulty:
+// { played, won, totalTime, bestTime, streak, bestStreak }
+// 9x9 games are keyed by the difficulty alone ("h"), other sizes by
+// size and difficulty ("16:h").
+const STATS_KEY = "sudokuByNoah.stats";
+
+const DIFFICULTY_NAMES = {
+  e: "Easy",
+  m: "Medium",
+  h: "Hard",
+  x: "Expert",
+  d: "Diabolical"
+};
+
+function statsKey(difficulty, size = 9) {
+  return size === 9 ? difficulty : `${size}:${difficulty}`;
+}
+
+// "Hard" or "16×16 Hard"; undefined for an unknown difficulty
+function statsLabel(key) {
+  const [size, difficulty] = String(key).includes(":") ? key.split(":") : [9, key];
+  const name = DIFFICULTY_NAMES[difficulty];
+  if (!name) return undefined;
+  return Number(size) === 9 ? name : `${size}×${size} ${name}`;
+}
+
+function blankDifficultyStats() {
+  return { played: 0, won: 0, totalTime: 0, bestTime: null, streak: 0, bestStreak: 0 };
+}
+
+function loadStats() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STATS_KEY));
+    return data && data.difficulties ? data : { version: 1, difficulties: {} };
+  } catch (err) {
+    console.error("Failed to read statistics:", err);
+    return { version: 1, difficulties: {} };
+  }
+}
+
+// Change one difficulty's numbers and store them; returns the new numbers
+function updateDifficultyStats(difficulty, update) {
+  const stats = loadStats();
+  const entry = Object.assign(blankDifficultyStats(), stats.difficulties[difficulty]);
+  update(entry);
+  stats.difficulties[difficulty] = entry;
+
+  try {
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch (err) {
+    console.error("Failed to save statistics:", err);
+  }
+  renderStats();
+  return entry;
+}
+
+function recordGameStarted(difficulty) {
+  return updateDifficultyStats(difficulty, (entry) => {
+    entry.played += 1;
+  });
+}
+
+function recordGameAbandoned(difficulty) {
+  return updateDifficultyStats(difficulty, (entry) => {
+    entry.streak = 0;
+  });
+}
+
+function recordGameWon(difficulty, time) {
+  return updateDifficultyStats(difficulty, (entry) => {
+    entry.won += 1;
+    entry.totalTime += time;
+    entry.bestTime = entry.bestTime === null ? time : Math.min(entry.bestTime, time);
+    entry.streak += 1;
+    entry.bestStreak = Math.max(entry.bestStreak, entry.streak);
+  });
+}
+
+function renderStats() {
+  const body = document.getElementById("stats-body");
+  if (!body) return;
+
+  // Every 9x9 difficulty, then other sizes once they've been played
+  const stats = loadStats();
+  const keys = DIFFICULTIES.slice();
+  BOARD_SIZES.filter((size) => size !== 9).forEach((size) => {
+    DIFFICULTIES.forEach((difficulty) => {
+      const key = statsKey(difficulty, size);
+      if (stats.difficulties[key]) keys.push(key);
+    });
+  });
+
+  body.innerHTML = "";
+  keys.forEach((key) => {
+    const entry = Object.assign(blankDifficultyStats(), stats.difficulties[key]);
+    const cells = [
+      statsLabel(key),
+      entry.played,
+      entry.won,
+      entry.bestTime === null ? "–" : formatTime(entry.bestTime),
+      entry.won > 0 ? formatTime(entry.totalTime / entry.won) : "–",
+      entry.streak,
+      entry.bestStreak
+    ];
+
+    const row = document.createElement("tr");
+    cells.forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+function setupStatistics() {
+  const panel = document.getElementById("stats-panel");
+  const toggleBtn = document.getElementById("stats-btn");
+  if (!panel || !toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+    if (!panel.hidden) renderStats();
+  });
+
+  document.getElementById("summary-new-btn").addEventListener("click", () => {
+    hidePuzzleSummary();
+    loadPuzzle(currentDifficulty || "m");
+  });
+  document.getElementById("summary-close-btn").addEventListener("click", hidePuzzleSummary);
+
+  // The clock only runs while the game is on screen
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      pauseTimer();
+      saveGame();
+    } else {
+      resumeTimer();
+    }
+  });
+}
+
+// =======================
+// Cell selection
+// =======================
+
+// The selection is the set of cells the next digit, note or Delete goes
+// to: the clicked cell, plus any gathered by dragging, Ctrl / Shift-click,
+// Shift+movement or the row, column, box and same-digit keys. It shows as
+// the `selected` class and, unlike the colour marks, it is
+// neither saved nor undone.
+
+function selectedCells() {
+  return Array.from(document.querySelectorAll(".board input.selected"));
+}
+
+function clearSelection() {
+  selectedCells().forEach((cell) => cell.classList.remove("selected"));
+}
+
+// Select `cells`, in place of the selection or on top of it
+function selectCells(cells, add = false) {
+  if (!add) clearSelection();
+  cells.forEach((cell) => cell.classList.add("selected"));
+}
+
+// What a key pressed in `input` acts on: the selection if the cell is
+// part of it, otherwise the cell alone (e.g. after tabbing in)
+function targetCells(input) {
+  return input.classList.contains("selected") ? selectedCells() : [input];
+}
+
+// The row, column or box of a cell; boxes follow jigsaw regions
+function unitCellsOf(input, type) {
+  const grid = gridFor(currentSize, currentRules);
+  const index = Number(input.dataset.row) * currentSize + Number(input.dataset.col);
+  const unit = grid.units.find((u) => u.type === type && u.cells.includes(index));
+  return unit ? unit.cells.map((cell) => getCell(grid.cellRow[cell], grid.cellCol[cell])) : [input];
+}
+
+// Every cell holding the same digit as `input`, or just it if it's empty
+function sameDigitCells(input) {
+  if (input.value === "") return [input];
+  return Array.from(document.querySelectorAll(".board input")).filter((cell) => cell.value === input.value);
+}
+
+const SELECT_UNITS = { selectRow: "row", selectColumn: "column", selectBox: "box" };
+
+// A click selects the cell; Ctrl / Cmd-click adds it to the selection or
+// takes it out, Shift-click adds it. Dragging carries on the same way
+// over every cell it passes. A double click selects every cell with the
+// same digit.
+function setupSelection() {
+  const board = document.querySelector(".board");
+  if (!board) return;
+
+  // "add" = cells dragged over join the selection
+  // "remove" = cells dragged over leave it
+  let dragMode = null;
+
+  board.addEventListener("mousedown", (e) => {
+    if (e.target.tagName !== "INPUT") return;
+    const cell = e.target;
+
+    if (e.ctrlKey || e.metaKey) {
+      dragMode = cell.classList.contains("selected") ? "remove" : "add";
+      cell.classList.toggle("selected", dragMode === "add");
+    } else if (e.shiftKey) {
+      dragMode = "add";
+      selectCells([cell], true);
+    } else {
+      // In digit-first mode a plain click also puts the picked digit in
+      // (Alt+click for a centre mark)
+      dragMode = "add";
+      selectCells([cell]);
+      if (keySettings.digitFirst && selectedDigit && !editorMode && !cell.readOnly) {
+        const kind = e.altKey ? "centre" : pencilMode ? "corner" : null;
+        recordStep(() => placeSelectedDigit([cell], kind));
+      }
+    }
+
+    cell.focus();
+    e.preventDefault();
+  });
+
+  board.addEventListener("mouseover", (e) => {
+    if (dragMode && e.target.tagName === "INPUT") {
+      e.target.classList.toggle("selected", dragMode === "add");
+    }
+  });
+
+  board.addEventListener("dblclick", (e) => {
+    if (e.target.tagName === "INPUT") selectCells(sameDigitCells(e.target));
+  });
+
+  document.addEventListener("mouseup", () => {
+    dragMode = null;
+  });
+}
+
+// =======================
+// Focus shading / digit pad
+// =======================
+
+// Focusing a cell shades its row, column and box and picks out every
+// other cell with the same digit, as a value or in its notes. The digit
+// pad counts how many of each digit are still to go and greys out the
+// finished ones. The settings switch each of these off.
+let shadedCell = null; // last board cell to have the focus
+
+// The digit to pick out: the one picked on the pad, or the cell's own
+function shadedDigit() {
+  if (selectedDigit) return selectedDigit;
+  return shadedCell && shadedCell.value !== "" ? shadedCell.value : null;
+}
+
+// Redraw the shading and the pad counts; called whenever the focus, the
+// picked digit or the board changes
+function updateShading() {
+  const cell = shadedCell && shadedCell.isConnected ? shadedCell : null;
+  const peers = new Set(
+    cell && keySettings.shadePeers ? ["row", "column", "box"].flatMap((type) => unitCellsOf(cell, type)) : []
+  );
+  const digit = keySettings.sameDigit ? shadedDigit() : null;
+
+  allCells().forEach((input) => {
+    input.classList.toggle("peer", input !== cell && peers.has(input));
+    input.classList.toggle("same-digit", input !== cell && digit !== null && input.value === digit);
+    input.parentElement.querySelectorAll(".pencil-note, .centre-notes span").forEach((note) => {
+      note.classList.toggle("same-digit", note.dataset.digit === digit);
+    });
+  });
+  updateDigitPad();
+}
+
+// Show the pad in digit-first mode or with counts on, and count how many
+// of each digit the board still needs
+function updateDigitPad() {
+  const pad = document.getElementById("digit-pad");
+  if (!pad) return;
+  pad.hidden = !keySettings.digitFirst && !keySettings.digitCounts;
+
+  const placed = {};
+  allCells().forEach((input) => {
+    if (input.value !== "") placed[input.value] = (placed[input.value] || 0) + 1;
+  });
+  pad.querySelectorAll(".digit-btn").forEach((btn) => {
+    const left = Math.max(0, currentSize - (placed[btn.dataset.digit] || 0));
+    btn.querySelector(".digit-count").textContent = keySettings.digitCounts ? String(left) : "";
+    btn.classList.toggle("done", keySettings.digitCounts && left === 0);
+  });
+}
+
+// Outside digit-first mode a picked digit only lasts until the next
+// cell is focused
+function setupShading() {
+  const board = document.querySelector(".board");
+  if (!board) return;
+  board.addEventListener("focusin", (e) => {
+    if (e.target.tagName !== "INPUT") return;
+    shadedCell = e.target;
+    if (!keySettings.digitFirst && selectedDigit) {
+      selectDigit(null);
+    } else {
+      updateShading();
+    }
+  });
+}
+
+// =======================
+// Colour marks
+// =======================
+
+// Cells can be coloured with any number of palette colours, e.g. for
+// simple colouring or chains; several colours split the cell into
+// segments. They are kept in the input's data-colours attribute as
+// palette numbers ("13"), saved and undone like notes, but aren't moves.
+const COLOUR_PALETTE = [
+  { name: "Green", value: "#8fe39a" },
+  { name: "Yellow", value: "#ffe066" },
+  { name: "Orange", value: "#ffb366" },
+  { name: "Red", value: "#ff8f8f" },
+  { name: "Pink", value: "#f7a8dc" },
+  { name: "Purple", value: "#c5a3ff" },
+  { name: "Blue", value: "#8fb8ff" },
+  { name: "Cyan", value: "#86e3e3" },
+  { name: "Grey", value: "#c4c4c4" }
+];
+
+let activeColour = "1"; // the colour the mark key puts on, the last one used
+
+function getColours(input) {
+  return (input.dataset.colours || "").split("").filter((n) => COLOUR_PALETTE[Number(n) - 1]);
+}
+
+function setColours(input, colours) {
+  input.dataset.colours = Array.from(new Set(colours)).filter((n) => COLOUR_PALETTE[Number(n) - 1]).sort().join("");
+  renderColours(input);
+}
+
+// One colour fills the cell; more share it as equal slices
+function renderColours(input) {
+  const layer = input.parentElement && input.parentElement.querySelector(".colour-layer");
+  if (!layer) return;
+
+  const colours = getColours(input).map((n) => COLOUR_PALETTE[Number(n) - 1].value);
+  if (colours.length === 0) {
+    layer.style.background = "";
+  } else if (colours.length === 1) {
+    layer.style.background = colours[0];
+  } else {
+    const slice = 360 / colours.length;
+    const stops = colours.map((colour, i) => `${colour} ${i * slice}deg ${(i + 1) * slice}deg`);
+    layer.style.background = `conic-gradient(${stops.join(", ")})`;
+  }
+}
+
+// Put a colour on the cells, or take it off if they all have it
+function toggleColour(cells, colour) {
+  activeColour = colour;
+  const hasIt = cells.every((cell) => getColours(cell).includes(colour));
+  cells.forEach((cell) => {
+    const colours = getColours(cell).filter((n) => n !== colour);
+    setColours(cell, hasIt ? colours : colours.concat(colour));
+  });
+}
+
+// Take one colour, or all of them, off the cells
+function clearColours(cells, colour = null) {
+  cells.forEach((cell) => setColours(cell, colour ? getColours(cell).filter((n) => n !== colour) : []));
+}
+
+function allCells() {
+  return Array.from(document.querySelectorAll(".board input"));
+}
+
+// The palette number Ctrl+Shift+digit stands for ("0" takes every colour
+// off), or null. Shift changes e.key, so this goes by the physical key.
+function colourFromKey(e) {
+  if (!e.ctrlKey || !e.shiftKey || e.altKey) return null;
+  const match = /^(?:Digit|Numpad)(\d)$/.exec(e.code || "");
+  if (!match || Number(match[1]) > COLOUR_PALETTE.length) return null;
+  return match[1];
+}
+
+// The toolbar under the board: a swatch per colour for the selection
+// (right-click one to clear that colour everywhere) and one to uncolour
+function setupColours() {
+  const palette = document.getElementById("colour-palette");
+  if (!palette) return;
+
+  COLOUR_PALETTE.forEach((colour, i) => {
+    const n = String(i + 1);
+    const swatch = document.createElement("button");
+    swatch.className = "colour-swatch";
+    swatch.style.backgroundColor = colour.value;
+    swatch.textContent = n;
+    swatch.title = `${colour.name} (Ctrl+Shift+${n}); right-click to clear it everywhere`;
+    swatch.addEventListener("click", () => recordStep(() => toggleColour(selectedCells(), n)));
+    swatch.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      recordStep(() => clearColours(allCells(), n));
+    });
+    palette.appendChild(swatch);
+  });
 
-  // Clamp to 0..8 so we don't go off the board
-  newRow = Math.max(0, Math.min(8, newRow));
-  newCol = Math.max(0, Math.min(8, newCol));
+  const none = document.createElement("button");
+  none.className = "colour-swatch colour-none";
+  none.textContent = "×";
+  none.title = "Take the colours off the selection (Ctrl+Shift+0)";
+  none.addEventListener("click", () => recordStep(() => clearColours(selectedCells())));
+  palette.appendChild(none);
+}
 
-  const newInputs = rowDivs[newRow].querySelectorAll("input");
-  if (newInputs.length === 9) {
-    const nextCell = newInputs[newCol];
-    nextCell.focus();
-    return nextCell;
-  }
-  return null;
+function clearAllColours() {
+  recordStep(() => clearColours(allCells()));
 }
 
 // =======================
-// Help mode / wrong cells
+// Pencil notes
 // =======================
 
-function checkCellCorrect(input) {
-  // No solution yet, or this is a given cell, or help off, or pencil notes
-  if (
-    !currentSolution ||
-    input.readOnly ||
-    !helpMode ||
-    input.classList.contains("pencil")
-  ) {
-    input.classList.remove("wrong");
-    return;
-  }
-
-  const row = Number(input.dataset.row);
-  const col = Number(input.dataset.col);
-
-  if (Number.isNaN(row) || Number.isNaN(col)) {
-    input.classList.remove("wrong");
-    return;
-  }
+// Every cell keeps two independent sets of notes beside its value:
+// corner marks, drawn as a mini-grid shaped like a box with each digit
+// in its own spot, and centre marks, written small in the middle. They
+// are kept in the input's data-corner / data-centre attributes as digit
+// strings ("137", or "39AC" on the bigger boards), never in its value.
+const NOTE_KINDS = ["corner", "centre"];
+
+function getNotes(input, kind) {
+  return (input.dataset[kind] || "").split("").filter((d) => {
+    const digit = symbolDigit(d);
+    return digit >= 1 && digit <= currentSize;
+  });
+}
 
-  const expected = String(currentSolution[row][col]);
-  const value = input.value.trim();
+function setNotes(input, kind, digits) {
+  input.dataset[kind] = Array.from(new Set(digits))
+    .sort((a, b) => symbolDigit(a) - symbolDigit(b))
+    .join("");
+  renderNotes(input);
+}
 
-  if (value === "" || value === expected) {
-    input.classList.remove("wrong");
-  } else {
-    input.classList.add("wrong");
-  }
+// Strike a digit from both kinds of notes in a cell
+function removeNoteDigit(input, digit) {
+  NOTE_KINDS.forEach((kind) => {
+    setNotes(input, kind, getNotes(input, kind).filter((d) => d !== digit));
+  });
 }
 
-// =======================
-// Puzzle solved check
-// =======================
+// Notes only show while the cell has no value
+function renderNotes(input) {
+  const wrapper = input.parentElement;
+  if (!wrapper || !wrapper.classList.contains("cell-wrapper")) return;
 
-function checkPuzzleSolved() {
-  if (!currentSolution) return;
+  const showNotes = input.value === "";
+  const corner = getNotes(input, "corner");
+  wrapper.querySelectorAll(".pencil-note").forEach((note) => {
+    note.classList.toggle("active", showNotes && corner.includes(note.textContent));
+  });
+
+  // A span per centre mark, so one digit can be picked out
+  const centre = wrapper.querySelector(".centre-notes");
+  const digits = showNotes ? getNotes(input, "centre") : [];
+  centre.innerHTML = "";
+  digits.forEach((digit) => {
+    const span = document.createElement("span");
+    span.dataset.digit = digit;
+    span.textContent = digit;
+    centre.appendChild(span);
+  });
+  centre.classList.toggle("long", digits.length > 4);
+}
 
-  const rowDivs = document.querySelectorAll(".board .row");
-  if (rowDivs.length !== 9) return;
+// The digit symbol a key stands for on the current board, or null.
+// Shift and Alt change e.key ("!" for Shift+1), so fall back to the
+// physical key. Boards over 9x9 use letters: A-C on 12x12, A-G on 16x16.
+function digitFromKey(e) {
+  const fromSymbol = (symbol) => {
+    const digit = symbolDigit(symbol);
+    return digit >= 1 && digit <= currentSize ? digitSymbol(digit) : null;
+  };
+
+  if (e.key.length === 1 && fromSymbol(e.key)) return fromSymbol(e.key);
+  const match = /^(?:Digit|Numpad|Key)([1-9A-Z])$/.exec(e.code || "");
+  return match ? fromSymbol(match[1]) : null;
+}
 
-  for (let r = 0; r < 9; r++) {
-    const inputs = rowDivs[r].querySelectorAll("input");
-    if (inputs.length !== 9) return;
+// Which notes a digit key writes, or null for the cell's value.
+// Alt always means centre marks. Shift swaps between value and corner
+// marks normally, and between corner and centre marks in pencil mode.
+function noteKindForKey(e) {
+  if (e.altKey) return "centre";
+  if (pencilMode) return e.shiftKey ? "centre" : "corner";
+  return e.shiftKey ? "corner" : null;
+}
 
-    for (let c = 0; c < 9; c++) {
-      const cell = inputs[c];
-      const val = cell.value.trim();
-      const expected = String(currentSolution[r][c]);
+// =======================
+// Auto notes
+// =======================
 
-      if (val === "" || val !== expected) {
-        return; // not solved
-      }
-    }
+// Digits that could go in an empty cell, by the same rules as isSafe:
+// nothing already placed in its row, column or box, and nothing a
+// variant rule forbids
+function legalCandidates(board, row, col) {
+  const digits = [];
+  for (let d = 1; d <= currentSize; d++) {
+    if (isSafe(board, row, col, d, currentRules)) digits.push(digitSymbol(d));
   }
+  return digits;
+}
 
-  // If we reached here, every cell matches the solution
-  showPuzzleSolvedAnimation();
+// Replace the corner marks of every empty cell with its candidates
+function fillAutoNotes() {
+  const board = readProgress();
+  document.querySelectorAll(".board input").forEach((cell) => {
+    if (cell.value !== "") return;
+    setNotes(cell, "corner", legalCandidates(board, Number(cell.dataset.row), Number(cell.dataset.col)));
+  });
 }
 
-function showPuzzleSolvedAnimation() {
-  if (solvedAnimationActive) return;
-  solvedAnimationActive = true;
+// Strike a digit the player just placed from the notes of its peers, and
+// whatever a variant rule then forbids next to it (its neighbours in
+// non-consecutive)
+function eliminatePeerNotes(input) {
+  const digit = symbolDigit(input.value);
+  if (digit < 1) return;
 
-  const board = document.querySelector(".board");
-  if (board) {
-    board.classList.add("solved");
-  }
+  const grid = gridFor(currentSize, currentRules);
+  const index = Number(input.dataset.row) * currentSize + Number(input.dataset.col);
+  const inputs = document.querySelectorAll(".board input");
+  grid.peers[index].forEach((peer) => removeNoteDigit(inputs[peer], input.value));
+  grid.relations[index].forEach((relation) => {
+    maskDigits(relation.excludes[digit]).forEach((excluded) => {
+      removeNoteDigit(inputs[relation.cell], digitSymbol(excluded));
+    });
+  });
+}
 
-  let banner = document.getElementById("puzzle-solved-overlay");
-  if (!banner) {
-    banner = document.createElement("div");
-    banner.id = "puzzle-solved-overlay";
-    banner.textContent = "Puzzle Solved!!";
-    document.body.appendChild(banner);
-  }
-  banner.style.display = "block";
+// Called after the player (or a hint) places a digit in a cell
+function notePlacement(input) {
+  if (autoNotesMode) eliminatePeerNotes(input);
+}
 
-  setTimeout(() => {
-    if (board) {
-      board.classList.remove("solved");
-    }
-    banner.style.display = "none";
-    solvedAnimationActive = false;
-  }, 2000);
+// Drop every note that clashes with a digit already on the board, for
+// players who keep their own notes
+function removeImpossibleNotes() {
+  const board = readProgress();
+  document.querySelectorAll(".board input").forEach((cell) => {
+    if (cell.value !== "") return;
+    const legal = legalCandidates(board, Number(cell.dataset.row), Number(cell.dataset.col));
+    NOTE_KINDS.forEach((kind) => {
+      setNotes(cell, kind, getNotes(cell, kind).filter((d) => legal.includes(d)));
+    });
+  });
 }
 
 // =======================
-// Manual highlight dragging (Shift + drag) with add/remove mode
+// Hint
 // =======================
 
-function setCellHighlighted(input, highlighted) {
-  if (!input) return;
-  if (highlighted) {
-    input.classList.add("highlight");
-  } else {
-    input.classList.remove("highlight");
-  }
+function getCell(row, col) {
+  return document.querySelector(`.board input[data-row="${row}"][data-col="${col}"]`);
 }
 
-function setupHighlightDrag() {
-  const board = document.querySelector(".board");
-  if (!board) return;
-
-  let isMouseDown = false;
-  let isShiftHeld = false;
-  // "add" = only add highlights while dragging
-  // "remove" = only remove highlights while dragging
-  let dragHighlightMode = null;
-
-  board.addEventListener("mousedown", (e) => {
-    if (e.target.tagName === "INPUT") {
-      isMouseDown = true;
-      isShiftHeld = e.shiftKey;
-
-      if (isShiftHeld) {
-        const alreadyHighlighted = e.target.classList.contains("highlight");
-        dragHighlightMode = alreadyHighlighted ? "remove" : "add";
-
-        // Apply mode to the starting cell
-        if (dragHighlightMode === "add") {
-          setCellHighlighted(e.target, true);
-        } else {
-          setCellHighlighted(e.target, false);
+// Read the board as the logical solver sees it: givens, hints and the
+// player's answers as values, and centre marks plus candidates ruled out
+// by earlier hints as allowed digits. Corner marks don't count: players
+// also use them for "somewhere in these cells". A wrong answer or centre
+// marks that leave out the real digit are returned as a mistake instead,
+// since no sound deduction can start from them.
+function readBoardForHint() {
+  const board = createBlankBoard(currentSize);
+  const allowed = [];
+  let mistake = null;
+
+  for (let r = 0; r < currentSize; r++) {
+    allowed.push([]);
+    for (let c = 0; c < currentSize; c++) {
+      const cell = getCell(r, c);
+      const value = cell.value.trim();
+      const expected = currentSolution[r][c];
+      let digits = [];
+
+      if (value !== "") {
+        if (symbolDigit(value) === expected) {
+          board[r][c] = expected;
+        } else if (!mistake) {
+          mistake = {
+            row: r,
+            col: c,
+            notes: false,
+            description: `R${r + 1}C${c + 1} doesn't fit the solution. Clear it and look again.`
+          };
         }
       } else {
-        // Regular click just focuses the cell
-        dragHighlightMode = null;
-        e.target.focus();
+        digits = getNotes(cell, "centre").map(symbolDigit);
+        if (!mistake && digits.length > 0 && !digits.includes(expected)) {
+          mistake = {
+            row: r,
+            col: c,
+            notes: true,
+            description: `Your centre marks in R${r + 1}C${c + 1} leave out the digit that belongs there. Clear them and look again.`
+          };
+        }
       }
-
-      e.preventDefault();
+      allowed[r].push(digits);
     }
-  });
+  }
 
-  board.addEventListener("mouseover", (e) => {
-    if (isMouseDown && isShiftHeld && e.target.tagName === "INPUT") {
-      if (dragHighlightMode === "add") {
-        setCellHighlighted(e.target, true);
-      } else if (dragHighlightMode === "remove") {
-        setCellHighlighted(e.target, false);
-      }
-    }
+  const allDigits = Array.from({ length: currentSize }, (_, i) => i + 1);
+  knownEliminations.forEach(({ row, col, digit }) => {
+    const digits = allowed[row][col].length ? allowed[row][col] : allDigits;
+    allowed[row][col] = digits.filter((d) => d !== digit);
   });
 
-  document.addEventListener("mouseup", () => {
-    isMouseDown = false;
-    isShiftHeld = false;
-    dragHighlightMode = null;
-  });
+  return { board, allowed, mistake };
 }
 
-function clearAllHighlights() {
-  const inputs = document.querySelectorAll(".board input.highlight");
-  inputs.forEach((input) => input.classList.remove("highlight"));
-}
+function giveHint() {
+  if (!currentSolution) return;
 
-// =======================
-// Pencil notes (max 3 digits per cell)
-// =======================
+  const { board, allowed, mistake } = readBoardForHint();
+  let hint;
+
+  if (mistake) {
+    hint = {
+      technique: "Check your entries",
+      clear: { row: mistake.row, col: mistake.col, notes: mistake.notes },
+      placements: [],
+      eliminations: [],
+      cells: [{ row: mistake.row, col: mistake.col }],
+      units: [],
+      description: mistake.description
+    };
+  } else {
+    hint = findNextStep(board, allowed, currentRules);
+  }
 
-function updatePencilNotes(input, digit) {
-  // strip everything to just digits
-  let currentDigits = input.value.replace(/\D/g, ""); // e.g. "137"
-  let arr = currentDigits ? currentDigits.split("") : [];
+  if (!hint) {
+    // The techniques ran out: fall back to revealing a random empty cell
+    const empty = [];
+    for (let r = 0; r < currentSize; r++) {
+      for (let c = 0; c < currentSize; c++) {
+        if (board[r][c] === 0) empty.push({ row: r, col: c });
+      }
+    }
 
-  const alreadyHas = arr.includes(digit);
+    if (empty.length === 0) {
+      alert("No cells available for a hint!");
+      return;
+    }
 
-  if (!alreadyHas && arr.length >= 3) {
-    // max 3 notes – do nothing if trying to add a 4th
-    return;
+    const { row, col } = empty[Math.floor(Math.random() * empty.length)];
+    const digit = currentSolution[row][col];
+    hint = {
+      technique: "Reveal",
+      placements: [{ row, col, digit }],
+      eliminations: [],
+      cells: [{ row, col }],
+      units: [],
+      description: `No known technique finds the next move here, so R${row + 1}C${col + 1} is revealed as ${digitSymbol(digit)}.`
+    };
   }
 
-  if (alreadyHas) {
-    // remove this digit
-    arr = arr.filter((d) => d !== digit);
-  } else {
-    // add this digit
-    arr.push(digit);
-  }
+  countHint();
+  showHint(hint);
+}
 
-  // unique, sorted, and capped at 3 for safety
-  const uniqueSorted = Array.from(new Set(arr))
-    .filter((d) => d !== "0")
-    .sort()
-    .slice(0, 3);
+function unitCells(unit) {
+  const grid = gridFor(currentSize, currentRules);
+  const found = grid.units.find((u) => u.type === unit.type && u.index === unit.index);
+  if (!found) return [];
+  return found.cells.map((cell) => getCell(grid.cellRow[cell], grid.cellCol[cell]));
+}
+
+function clearHintMarks() {
+  const marked = document.querySelectorAll(".board input.hint-area, .board input.hint-cell, .board input.hint-elim");
+  marked.forEach((cell) => cell.classList.remove("hint-area", "hint-cell", "hint-elim"));
+}
 
-  const spaced = uniqueSorted.join(" ");
+// First show only the nudge (technique and where to look); "Explain"
+// then marks the exact cells and shows the full reasoning
+function showHint(hint) {
+  activeHint = hint;
+  clearHintMarks();
 
-  input.value = spaced;
+  const panel = document.getElementById("hint-panel");
+  if (!panel) return;
 
-  if (uniqueSorted.length === 0) {
-    input.classList.remove("pencil");
+  let where;
+  if (hint.units.length > 0) {
+    where = hint.units.map((unit) => `${unit.type} ${unit.index + 1}`).join(" and ");
   } else {
-    input.classList.add("pencil");
+    where = hint.cells.map((cell) => `R${cell.row + 1}C${cell.col + 1}`).join(", ");
+  }
+
+  hint.units.forEach((unit) => {
+    unitCells(unit).forEach((cell) => cell.classList.add("hint-area"));
+  });
+  if (hint.units.length === 0) {
+    hint.cells.forEach(({ row, col }) => getCell(row, col).classList.add("hint-area"));
   }
 
-  // pencil notes never show as wrong
-  input.classList.remove("wrong");
+  panel.querySelector(".hint-title").textContent = hint.technique;
+  panel.querySelector(".hint-text").textContent = `Look at ${where}.`;
+  panel.hidden = false;
 }
 
-// =======================
-// Hint
-// =======================
+function explainHint() {
+  const hint = activeHint;
+  if (!hint) return;
 
-function giveHint() {
-  if (!currentSolution) return;
+  hint.cells.forEach(({ row, col }) => getCell(row, col).classList.add("hint-cell"));
+  hint.eliminations.forEach(({ row, col }) => getCell(row, col).classList.add("hint-elim"));
 
-  const rowDivs = document.querySelectorAll(".board .row");
-  const candidates = [];
+  const panel = document.getElementById("hint-panel");
+  if (panel) {
+    panel.querySelector(".hint-text").textContent = hint.description;
+  }
+}
 
-  for (let r = 0; r < 9; r++) {
-    const inputs = rowDivs[r].querySelectorAll("input");
-    for (let c = 0; c < 9; c++) {
-      const cell = inputs[c];
+function closeHint() {
+  activeHint = null;
+  clearHintMarks();
+  const panel = document.getElementById("hint-panel");
+  if (panel) {
+    panel.hidden = true;
+  }
+}
 
-      // Skip given cells and already readOnly cells
-      if (cell.readOnly) continue;
+function applyHint() {
+  const hint = activeHint;
+  if (!hint) return;
 
-      const correct = String(currentSolution[r][c]);
-      const value = cell.value.trim();
+  recordStep(() => applyHintChanges(hint));
+  closeHint();
+  checkConflicts();
+  checkPuzzleSolved();
+}
 
-      // Candidate if empty or wrong
-      if (value !== correct) {
-        candidates.push(cell);
-      }
+function applyHintChanges(hint) {
+  if (hint.clear) {
+    const cell = getCell(hint.clear.row, hint.clear.col);
+    if (hint.clear.notes) {
+      setNotes(cell, "centre", []);
+    } else {
+      cell.value = "";
+      cell.classList.remove("wrong");
+      renderNotes(cell);
     }
   }
 
-  if (candidates.length === 0) {
-    alert("No cells available for a hint!");
-    return;
-  }
+  hint.placements.forEach(({ row, col, digit }) => {
+    const cell = getCell(row, col);
 
-  const cell = candidates[Math.floor(Math.random() * candidates.length)];
-  const row = Number(cell.dataset.row);
-  const col = Number(cell.dataset.col);
+    // Fill with correct value
+    cell.value = digitSymbol(digit);
+    cell.classList.remove("wrong");
+    renderNotes(cell);
 
-  // Fill with correct value
-  cell.value = String(currentSolution[row][col]);
-  cell.classList.remove("pencil", "wrong");
+    // Mark as a hint visually
+    cell.classList.add("hint");
 
-  // Mark as a hint visually
-  cell.classList.add("hint");
-
-  // Make this cell non-editable from now on
-  cell.readOnly = true;
+    // Make this cell non-editable from now on
+    cell.readOnly = true;
+    notePlacement(cell);
+  });
 
-  checkPuzzleSolved();
+  // Remember eliminations so the next hint builds on them, and strike
+  // them from the player's notes where they were written down
+  hint.eliminations.forEach((elimination) => {
+    knownEliminations.push(elimination);
+    removeNoteDigit(getCell(elimination.row, elimination.col), digitSymbol(elimination.digit));
+  });
 }
 
 // =======================
 // Cell handlers
 // =======================
 
-function attachCellHandlers() {
-  const inputs = document.querySelectorAll(".board input");
-
-  inputs.forEach((input) => {
-    input.addEventListener("keydown", (e) => {
-      const key = e.key;
+// Every change a key press or paste makes to one cell is one undo step
+function attachCellHandlers(input) {
+  input.addEventListener("keydown", (e) => {
+    if (editorMode) {
+      handleEditorKeydown(input, e);
+      return;
+    }
+    recordStep(() => handleCellKeydown(input, e));
+  });
 
-      // --- Toggle pencil mode with E ---
-      if (key === "e" || key === "E") {
-        pencilMode = !pencilMode;
-        const pencilBtn = document.getElementById("pencil-mode-btn");
-        if (pencilBtn) {
-          pencilBtn.classList.toggle("active", pencilMode);
-        }
-        e.preventDefault();
-        return;
-      }
+  // Input event: handles paste / weird input, keeps cells sane
+  input.addEventListener("input", () => {
+    if (editorMode) {
+      const digit = input.value.toUpperCase().split("").find((d) => symbolDigit(d) >= 1 && symbolDigit(d) <= currentSize);
+      setEditorCell(input, digit || "");
+      return;
+    }
+    recordStep(() => handleCellInput(input));
+  });
+}
 
-      // --- WASD navigation (works even on readOnly cells) ---
-      if (
-        key === "w" || key === "W" ||
-        key === "a" || key === "A" ||
-        key === "s" || key === "S" ||
-        key === "d" || key === "D"
-      ) {
-        const isShift = e.shiftKey;
-
-        // If Shift is held, highlight the current cell before moving
-        if (isShift) {
-          input.classList.add("highlight");
-        }
+function handleCellKeydown(input, e) {
+  const key = e.key;
+  const action = keyAction(e);
 
-        let dRow = 0;
-        let dCol = 0;
-        if (key === "w" || key === "W") dRow = -1;
-        if (key === "s" || key === "S") dRow = 1;
-        if (key === "a" || key === "A") dCol = -1;
-        if (key === "d" || key === "D") dCol = 1;
+  // --- Colours (Ctrl+Shift+digit) go on givens too ---
+  const colour = colourFromKey(e);
+  if (colour) {
+    if (colour === "0") {
+      clearColours(targetCells(input));
+    } else {
+      toggleColour(targetCells(input), colour);
+    }
+    e.preventDefault();
+    return;
+  }
 
-        const nextCell = moveFocusFromCell(input, dRow, dCol);
+  // Ctrl / Cmd + digit is left to the browser (switching tabs)
+  if ((e.ctrlKey || e.metaKey) && digitFromKey(e)) return;
 
-        // If Shift is held, also highlight the new cell we moved to
-        if (isShift && nextCell) {
-          nextCell.classList.add("highlight");
-        }
+  // --- Mode keys (P and Q by default) ---
+  if (action === "pencil") {
+    setPencilMode(!pencilMode);
+    saveGame();
+    e.preventDefault();
+    return;
+  }
+  if (action === "digitFirst") {
+    setDigitFirstMode(!keySettings.digitFirst);
+    e.preventDefault();
+    return;
+  }
 
-        e.preventDefault();
-        return;
-      }
+  // --- Arrow / WASD navigation (works even on readOnly cells). The
+  // selection follows; with Shift held it grows instead ---
+  if (MOVES[action]) {
+    const [dRow, dCol] = MOVES[action];
+    const nextCell = moveFocusFromCell(input, dRow, dCol);
+    if (nextCell) {
+      selectCells(e.shiftKey ? [input, nextCell] : [nextCell], e.shiftKey);
+    }
+    e.preventDefault();
+    return;
+  }
 
-      // --- From here down, handle values only for non-readOnly cells ---
-      if (input.readOnly) {
-        e.preventDefault();
-        return;
-      }
+  if (action === "nextEmpty") {
+    const nextCell = moveToEmptyCell(input, e.shiftKey);
+    if (nextCell) selectCells([nextCell]);
+    e.preventDefault();
+    return;
+  }
 
-      // Allow navigation arrows and Tab to behave normally
-      const navKeys = ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Tab"];
-      if (navKeys.includes(key)) {
-        return;
-      }
+  // --- Selection keys ---
+  if (SELECT_UNITS[action]) {
+    selectCells(unitCellsOf(input, SELECT_UNITS[action]));
+    e.preventDefault();
+    return;
+  }
+  if (action === "selectSame") {
+    selectCells(sameDigitCells(input));
+    e.preventDefault();
+    return;
+  }
+  if (key === "Escape") {
+    selectCells([input]);
+    e.preventDefault();
+    return;
+  }
+  if (action === "mark") {
+    toggleColour(targetCells(input), activeColour);
+    e.preventDefault();
+    return;
+  }
 
-      // Digit 1–9
-      if (key >= "1" && key <= "9") {
-        input.classList.remove("given");
-
-        if (pencilMode) {
-          // toggle this digit inside notes (max 3)
-          updatePencilNotes(input, key);
-        } else {
-          // Final answer mode: single digit
-          input.value = key;
-          input.classList.remove("pencil");
-          checkCellCorrect(input);
-          checkPuzzleSolved();
-        }
+  // Allow Tab to behave normally
+  if (key === "Tab") {
+    return;
+  }
 
-        e.preventDefault();  // stop default typing behavior
-        return;
-      }
+  // --- Digit-first: digits pick the digit; the place key below puts it in ---
+  const digit = digitFromKey(e);
+  if (keySettings.digitFirst && digit) {
+    selectDigit(digit);
+    e.preventDefault();
+    return;
+  }
 
-      // 0, Backspace, Delete → clear cell
-      if (key === "0" || key === "Backspace" || key === "Delete") {
-        input.value = "";
-        input.classList.remove("pencil");
-        input.classList.remove("given");
-        input.classList.remove("wrong");
-        e.preventDefault();
-        return;
-      }
+  // --- From here down, change only the cells that aren't readOnly ---
+  const cells = targetCells(input).filter((cell) => !cell.readOnly);
+  if (cells.length === 0) {
+    e.preventDefault();
+    return;
+  }
 
-      // Anything else: ignore
-      e.preventDefault();
-    });
+  if (action === "place") {
+    if (selectedDigit) placeSelectedDigit(cells, noteKindForKey(e));
+    e.preventDefault();
+    return;
+  }
 
-    // Input event: handles paste / weird input, keeps cells sane
-    input.addEventListener("input", () => {
-      if (input.readOnly) {
-        input.value = input.value; // do nothing
-        return;
-      }
+  // Digit (1–9, then A–C on 12×12 or A–G on 16×16), as a value or as a corner /
+  // centre mark
+  if (digit) {
+    enterDigit(cells, digit, noteKindForKey(e));
+    e.preventDefault();  // stop default typing behavior
+    return;
+  }
 
-      const digits = input.value.replace(/\D/g, "");
+  // 0, Backspace, Delete → clear the values, or the notes if none had one
+  if (key === "0" || key === "Backspace" || key === "Delete") {
+    clearCells(cells);
+    e.preventDefault();
+    return;
+  }
 
-      if (pencilMode) {
-        // interpret typed digits as notes, capped at 3
-        const uniqueSorted = Array.from(new Set(digits.split("")))
-          .filter((d) => d !== "0")
-          .sort()
-          .slice(0, 3);
+  // Anything else: ignore
+  e.preventDefault();
+}
 
-        const spaced = uniqueSorted.join(" ");
-        input.value = spaced;
+// Put a digit in the cells as their value, or toggle it in one kind of
+// notes: into every cell, or out of them all if they all have it
+function enterDigit(cells, digit, kind) {
+  cells.forEach((input) => input.classList.remove("given"));
+  if (kind) {
+    const hasIt = cells.every((input) => getNotes(input, kind).includes(digit));
+    cells.forEach((input) => {
+      const digits = getNotes(input, kind).filter((d) => d !== digit);
+      setNotes(input, kind, hasIt ? digits : digits.concat(digit));
+    });
+    return;
+  }
 
-        if (uniqueSorted.length === 0) {
-          input.classList.remove("pencil");
-        } else {
-          input.classList.add("pencil");
-        }
+  // Final answer mode: single digit
+  cells.forEach((input) => {
+    input.value = digit;
+    renderNotes(input);
+    notePlacement(input);
+    checkCellCorrect(input);
+  });
+  checkConflicts();
+  checkPuzzleSolved();
+}
 
-        input.classList.remove("wrong");
-      } else {
-        // Final answer mode
-        if (digits.length === 0 || digits[0] === "0") {
-          input.value = "";
-          input.classList.remove("pencil");
-          input.classList.remove("given");
-          input.classList.remove("wrong");
-        } else {
-          const key = digits[0];
-          input.value = key;
-          input.classList.remove("pencil");
-          input.classList.remove("given");
-          checkCellCorrect(input);
-          checkPuzzleSolved();
-        }
-      }
+// Clear the cells' values, or their notes if none of them had a value
+function clearCells(cells) {
+  const filled = cells.filter((input) => input.value !== "");
+  if (filled.length > 0) {
+    filled.forEach((input) => {
+      input.value = "";
+      renderNotes(input);
     });
+  } else {
+    cells.forEach((input) => NOTE_KINDS.forEach((kind) => setNotes(input, kind, [])));
+  }
+  cells.forEach((input) => {
+    input.classList.remove("given");
+    input.classList.remove("wrong");
+  });
+  checkConflicts();
+}
+
+function handleCellInput(input) {
+  if (input.readOnly) {
+    input.value = input.value; // do nothing
+    return;
+  }
+
+  // Keep only the symbols that are digits on this board
+  const digits = input.value.toUpperCase().split("").filter((d) => {
+    const digit = symbolDigit(d);
+    return digit >= 1 && digit <= currentSize;
   });
+
+  if (pencilMode) {
+    // interpret pasted digits as corner marks
+    input.value = "";
+    setNotes(input, "corner", digits);
+    input.classList.remove("wrong");
+  } else {
+    // Final answer mode
+    input.value = digits.length === 0 ? "" : digits[0];
+    input.classList.remove("given");
+    renderNotes(input);
+    notePlacement(input);
+    checkCellCorrect(input);
+    checkConflicts();
+    checkPuzzleSolved();
+  }
 }
 
 // =======================
@@ -533,16 +3207,56 @@ function attachCellHandlers() {
 // =======================
 
 window.addEventListener("DOMContentLoaded", () => {
-  // Attach key handlers once the DOM exists
-  attachCellHandlers();
+  // Cells, note layers and key handlers for the default board
+  buildBoard(9);
 
-  // Setup Shift+drag highlight behavior
-  setupHighlightDrag();
+  // Click, drag and Ctrl / Shift-click selection
+  setupSelection();
 
-  // Default difficulty: medium
-  loadPuzzle("m");
+  // Row, column, box and same-digit shading around the focused cell
+  setupShading();
 
-  const buttons = document.querySelectorAll(".difficulty-btn");
+  // Import / export panel
+  setupImportExport();
+
+  // Puzzle editor
+  setupEditor();
+
+  // Solver for pasted grids
+  setupSolver();
+
+  // Settings panel with the key bindings
+  setupSettings();
+
+  // Colour palette under the board
+  setupColours();
+
+  // Timer, end-of-game summary and statistics panel
+  setupStatistics();
+
+  // Daily button and calendar
+  setupDaily();
+
+  // A shared link loads exactly that puzzle; otherwise carry on with the
+  // saved game, or start a medium one by default
+  const shared = puzzleFromUrl();
+  const saved = loadSavedGame();
+  const sameAsSaved = shared && saved && saved.seed === shared.seed &&
+    saved.difficulty === shared.difficulty && saved.puzzle.length === shared.size &&
+    normalizeRules(saved.rules).map(ruleKey).join() === shared.rules.join() &&
+    patternParam(saved.pattern) === patternParam(shared.pattern);
+  if (shared && !sameAsSaved) {
+    loadPuzzle(shared.difficulty, shared.seed, shared.size, shared.rules, shared.pattern);
+  } else if (saved) {
+    restoreGame(saved);
+  } else {
+    loadPuzzle("m");
+  }
+
+  // Keep a puzzle or two of every difficulty ready in the background
+  primePuzzleBuffers(DIFFICULTIES);
+
+  const buttons = document.querySelectorAll(".difficulty-btn[data-diff]");
   buttons.forEach((btn) => {
     const diff = btn.getAttribute("data-diff");
     btn.addEventListener("click", () => {
@@ -550,43 +3264,123 @@ window.addEventListener("DOMContentLoaded", () => {
     });
   });
 
+  // A new size, rule set or clue pattern starts a new puzzle (see
+  // startSelectedPuzzle)
+  document.querySelectorAll(".size-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      setSelectedSize(Number(btn.dataset.size));
+      startSelectedPuzzle();
+    });
+  });
+
+  document.querySelectorAll(".rule-toggle").forEach((box) => {
+    box.addEventListener("change", () => {
+      const rules = selectedRules.filter((key) => key !== box.value);
+      if (box.checked) rules.push(box.value);
+      setSelectedRules(rules);
+      startSelectedPuzzle();
+    });
+  });
+
+  const patternSelect = document.getElementById("pattern-select");
+  if (patternSelect) {
+    patternSelect.addEventListener("change", () => {
+      const pattern = patternSelect.value === "custom" ? askCustomPattern() : patternSelect.value;
+      if (!pattern) {
+        setSelectedPattern(selectedPattern);
+        return;
+      }
+      setSelectedPattern(pattern);
+      startSelectedPuzzle();
+    });
+  }
+
   // Side buttons
-  const clearBtn = document.getElementById("clear-highlights-btn");
+  const clearBtn = document.getElementById("clear-colours-btn");
   if (clearBtn) {
     clearBtn.addEventListener("click", () => {
-      clearAllHighlights();
+      clearAllColours();
     });
   }
 
   const pencilBtn = document.getElementById("pencil-mode-btn");
   if (pencilBtn) {
     pencilBtn.addEventListener("click", () => {
-      pencilMode = !pencilMode;
-      pencilBtn.classList.toggle("active", pencilMode);
+      setPencilMode(!pencilMode);
+      saveGame();
+    });
+  }
+
+  const digitFirstBtn = document.getElementById("digit-first-btn");
+  if (digitFirstBtn) {
+    setDigitFirstMode(keySettings.digitFirst);
+    digitFirstBtn.addEventListener("click", () => {
+      setDigitFirstMode(!keySettings.digitFirst);
+    });
+  }
+
+  const autoNotesBtn = document.getElementById("auto-notes-btn");
+  if (autoNotesBtn) {
+    autoNotesBtn.addEventListener("click", () => {
+      setAutoNotesMode(!autoNotesMode);
+      saveGame();
     });
   }
 
+  const removeNotesBtn = document.getElementById("remove-notes-btn");
+  if (removeNotesBtn) {
+    removeNotesBtn.addEventListener("click", () => {
+      recordStep(removeImpossibleNotes);
+    });
+  }
+
+  const copyLinkBtn = document.getElementById("copy-link-btn");
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener("click", copyPuzzleLink);
+  }
+
   const hintBtn = document.getElementById("hint-btn");
   if (hintBtn) {
     hintBtn.addEventListener("click", giveHint);
   }
 
-  // Help mode button toggles red wrong cells on or off
+  const hintExplainBtn = document.getElementById("hint-explain-btn");
+  if (hintExplainBtn) {
+    hintExplainBtn.addEventListener("click", explainHint);
+  }
+
+  const hintApplyBtn = document.getElementById("hint-apply-btn");
+  if (hintApplyBtn) {
+    hintApplyBtn.addEventListener("click", applyHint);
+  }
+
+  const hintCloseBtn = document.getElementById("hint-close-btn");
+  if (hintCloseBtn) {
+    hintCloseBtn.addEventListener("click", closeHint);
+  }
+
+  // Help mode button steps through the validation modes
   const helpBtn = document.getElementById("help-mode-btn");
   if (helpBtn) {
-    helpBtn.classList.toggle("active", helpMode);
+    setValidationMode(validationMode);
     helpBtn.addEventListener("click", () => {
-      helpMode = !helpMode;
-      helpBtn.classList.toggle("active", helpMode);
-
-      const cells = document.querySelectorAll(".board input");
-      if (!helpMode) {
-        // Turning help off removes all red
-        cells.forEach((cell) => cell.classList.remove("wrong"));
-      } else {
-        // Turning help on recheck current filled non-pencil cells
-        cells.forEach((cell) => checkCellCorrect(cell));
-      }
+      setValidationMode(nextValidationMode());
+      saveGame();
     });
   }
+
+  const undoBtn = document.getElementById("undo-btn");
+  if (undoBtn) {
+    undoBtn.addEventListener("click", undo);
+  }
+
+  const redoBtn = document.getElementById("redo-btn");
+  if (redoBtn) {
+    redoBtn.addEventListener("click", redo);
+  }
+
+  document.addEventListener("keydown", handleHistoryKeys);
+
+  // Last chance to save before the tab goes away
+  window.addEventListener("pagehide", saveGame);
 });
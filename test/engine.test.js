@@ -0,0 +1,135 @@
+// engine.test.js
+// Unit tests for the engine's rule checks, solution counting and clue
+// removal. Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  cloneBoard,
+  countSolutions,
+  createBlankBoard,
+  createRandom,
+  findSolutions,
+  generateFullSolution,
+  generatePuzzle,
+  isMinimal,
+  isSafe,
+  removeCellsWithUniqueness
+} = require("../engine.js");
+
+// A classic puzzle with exactly one solution
+const PUZZLE = [
+  "53..7....",
+  "6..195...",
+  ".98....6.",
+  "8...6...3",
+  "4..8.3..1",
+  "7...2...6",
+  ".6....28.",
+  "...419..5",
+  "....8..79"
+].map((row) => Array.from(row, (ch) => (ch === "." ? 0 : Number(ch))));
+
+function countBlanks(board) {
+  return board.flat().filter((value) => value === 0).length;
+}
+
+test("isSafe rejects a digit already in the row, column or box", () => {
+  const board = createBlankBoard(9);
+  board[4][4] = 5;
+
+  assert.equal(isSafe(board, 4, 0, 5), false, "row");
+  assert.equal(isSafe(board, 0, 4, 5), false, "column");
+  assert.equal(isSafe(board, 3, 3, 5), false, "box");
+  assert.equal(isSafe(board, 0, 0, 5), true);
+  assert.equal(isSafe(board, 4, 0, 6), true);
+});
+
+test("isSafe follows the box shape of smaller boards", () => {
+  const board = createBlankBoard(6);
+  board[0][0] = 1;
+
+  assert.equal(isSafe(board, 1, 2, 1), false, "same 2x3 box");
+  assert.equal(isSafe(board, 2, 1, 1), true, "box below");
+});
+
+test("isSafe rejects what a variant rule forbids", () => {
+  const board = createBlankBoard(9);
+  board[0][0] = 5;
+
+  assert.equal(isSafe(board, 8, 8, 5), true);
+  assert.equal(isSafe(board, 8, 8, 5, ["diagonal"]), false, "diagonal");
+  assert.equal(isSafe(board, 1, 2, 5), false, "classic box");
+  assert.equal(isSafe(board, 2, 1, 5, ["antiKnight"]), false, "anti-knight");
+  assert.equal(isSafe(board, 3, 1, 5, ["antiKnight"]), true);
+  assert.equal(isSafe(board, 0, 1, 7, ["nonConsecutive"]), true);
+  assert.equal(isSafe(board, 0, 1, 4, ["nonConsecutive"]), false, "non-consecutive");
+  assert.equal(isSafe(board, 0, 1, 6, ["nonConsecutive"]), false, "non-consecutive");
+});
+
+test("countSolutions finds a unique puzzle's one solution", () => {
+  const board = cloneBoard(PUZZLE);
+  assert.equal(countSolutions(board, 2), 1);
+  assert.deepEqual(board, PUZZLE, "the board is left as it was");
+});
+
+test("countSolutions counts a puzzle with two solutions and stops at the limit", () => {
+  // The 1s and 2s in R1C1, R1C2, R3C1 and R3C2 can swap
+  const board = [
+    [0, 0, 3, 4],
+    [3, 4, 1, 2],
+    [0, 0, 4, 3],
+    [4, 3, 2, 1]
+  ];
+  assert.equal(countSolutions(board, 2), 2);
+  assert.equal(countSolutions(board, 10), 2);
+  assert.equal(countSolutions(createBlankBoard(9), 2), 2);
+});
+
+test("countSolutions returns 0 when no solution exists", () => {
+  // R1C1 can't take 2 or 3 (row), 1 (column) or 4 (box), though no
+  // givens clash
+  const board = [
+    [0, 2, 3, 0],
+    [0, 4, 0, 0],
+    [1, 0, 0, 0],
+    [0, 0, 0, 0]
+  ];
+  assert.equal(countSolutions(board, 2), 0);
+});
+
+test("countSolutions returns -1 when the node budget runs out", () => {
+  assert.equal(countSolutions(cloneBoard(PUZZLE), 2, [], 10), -1);
+  assert.equal(findSolutions(PUZZLE, 2, [], 10), null);
+});
+
+test("removeCellsWithUniqueness leaves exactly one solution, the one it started from", () => {
+  [["classic", 9, []], ["6x6", 6, []], ["diagonal", 9, ["diagonal"]]].forEach(([name, size, rules]) => {
+    const random = createRandom(`engine-test-${name}`);
+    const solution = generateFullSolution(random, size, rules);
+    const puzzle = cloneBoard(solution);
+    const target = Math.floor(size * size * 0.6);
+
+    removeCellsWithUniqueness(puzzle, target, random, rules);
+
+    const blanks = countBlanks(puzzle);
+    assert.ok(blanks > 0 && blanks <= target, `${name}: ${blanks} blanks, target ${target}`);
+    puzzle.forEach((row, r) => {
+      row.forEach((value, c) => {
+        if (value !== 0) assert.equal(value, solution[r][c], `${name}: given at R${r + 1}C${c + 1}`);
+      });
+    });
+    assert.equal(countSolutions(cloneBoard(puzzle), 2, rules), 1, `${name}: unique`);
+    assert.deepEqual(findSolutions(puzzle, 2, rules), [solution], `${name}: same solution`);
+  });
+});
+
+test("isMinimal tells a puzzle with a spare given from one without", () => {
+  const full = generateFullSolution(createRandom("engine-test-minimal"));
+  assert.equal(isMinimal(full), false);
+
+  const result = generatePuzzle("m", "engine-test-minimal", null, { minimal: true });
+  assert.equal(result.minimal, true);
+  assert.equal(isMinimal(result.puzzle), true);
+  assert.equal(generatePuzzle("m", "engine-test-minimal").minimal, null, "not checked unless asked");
+});
@@ -0,0 +1,62 @@
+// game.test.js
+// Tests of the page itself: index.html and its scripts loaded into jsdom
+// the way the browser loads them. Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+// The page with its scripts inlined, so they run in order and share
+// their top-level names as in the browser. There is no Worker in jsdom,
+// so puzzles are made on the main thread.
+function loadPage() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8").replace(
+    /<script src="([^"]+)"><\/script>/g,
+    (tag, file) => `<script>${fs.readFileSync(path.join(ROOT, file), "utf8")}</script>`
+  );
+  const dom = new JSDOM(html, { runScripts: "dangerously", url: "http://localhost/", pretendToBeVisual: true });
+  return dom.window;
+}
+
+// Resolves once the first puzzle is on the board
+async function waitForPuzzle(window) {
+  for (let i = 0; i < 200; i++) {
+    if (window.eval("currentSolution")) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("No puzzle was loaded");
+}
+
+function pressKey(window, input, key) {
+  input.focus();
+  input.dispatchEvent(new window.KeyboardEvent("keydown", { key, code: `Digit${key}`, bubbles: true, cancelable: true }));
+}
+
+test("the move that fills the board is counted", async (t) => {
+  const window = loadPage();
+  t.after(() => window.close());
+  await waitForPuzzle(window);
+  const { document } = window;
+
+  const solution = window.eval("currentSolution");
+  const empty = Array.from(document.querySelectorAll(".board input")).filter((input) => input.value === "");
+  assert.ok(empty.length > 0);
+  empty.forEach((input) => {
+    pressKey(window, input, String(solution[input.dataset.row][input.dataset.col]));
+  });
+
+  const game = window.eval("currentGame");
+  assert.equal(game.finished, true);
+  assert.equal(game.moves, empty.length);
+
+  const summary = Array.from(document.querySelectorAll("#puzzle-summary dt"));
+  const moves = summary.find((term) => term.textContent === "Moves");
+  assert.equal(moves.nextElementSibling.textContent, String(empty.length));
+
+  const saved = JSON.parse(window.localStorage.getItem("sudokuByNoah.game"));
+  assert.equal(saved.game.moves, empty.length);
+});
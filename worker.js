@@ -0,0 +1,21 @@
+// worker.js
+// Runs the generator from engine.js off the main thread.
+//
+// In:  { id, difficulty, seed, size, rules, pattern }  (all but id and difficulty may be omitted)
+// Out: { id, progress: { attempt, maxAttempts } } while generating,
+//      then { id, result: { puzzle, solution, grade, seed, size, rules, pattern } } or { id, error }
+
+importScripts("engine.js");
+
+self.addEventListener("message", (e) => {
+  const { id, difficulty, seed, size, rules, pattern } = e.data;
+
+  try {
+    const result = generatePuzzle(difficulty, seed, (attempt, maxAttempts) => {
+      self.postMessage({ id, progress: { attempt, maxAttempts } });
+    }, { size, rules, pattern });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: String(err && err.message ? err.message : err) });
+  }
+});